@@ -18,35 +18,320 @@ if (
 
 // Centralized color references for UI elements controlled from background (no CSS vars available here)
 // Keep these aligned with popup.css :root palette when possible.
-const BADGE_BG_COLOR = "#f44336";   // matches --color-error
 const BADGE_TEXT_COLOR = "#ffffff"; // matches --color-white
+// Badge style of each state of the current page. "count" is the number of non-indexed URLs of
+// the site; the other states describe the page itself (badgeMode "state").
+const BADGE_STATES = {
+  count: { color: "#f44336", title: "" }, // --color-error
+  loading: { text: "…", color: "#999999", title: "Comprobando el sitemap…" }, // --color-muted
+  found: { text: "✓", color: "#4caf50", title: "La página está en el sitemap" }, // --color-success
+  "not-found": { text: "✗", color: "#f44336", title: "La página no está en el sitemap" }, // --color-error
+  "no-sitemap": { text: "–", color: "#764ba2", title: "El sitio no tiene sitemap" }, // --color-secondary
+  error: { text: "!", color: "#ff9800", title: "No se pudo leer el sitemap" }, // --color-warning
+};
+const BADGE_MODE_STORAGE_KEY = "badgeMode"; // "count" (default) or "state"
 
 // Performance-related constants and caches
-const MAX_SITEMAP_BYTES = 5 * 1024 * 1024; // 5 MB guard to avoid huge downloads
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // 50 MB protocol limit (compressed and decompressed) to avoid huge downloads
+const MAX_SITEMAP_MB = MAX_SITEMAP_BYTES / (1024 * 1024);
+const MAX_RAISED_SITEMAP_MB = 200; // highest per-site size limit that can be set from the popup
+const SIZE_LIMITS_STORAGE_KEY = "sitemapSizeLimits"; // hostname -> size limit in MB
+const SITEMAP_FETCH_TIMEOUT_MS = 15000;
 const SITEMAP_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
-/** @type {Map<string, {text:string, fetchedAt:number}>} */
-const sitemapCache = new Map(); // key: sitemapUrl
-/** @type {Map<number, number>} */
-const lastBadgeCount = new Map(); // tabId -> last count applied
+const MAX_SITEMAP_INDEX_DEPTH = 3; // how many nested sitemap indexes are followed
+const MAX_CONCURRENT_SITEMAP_FETCHES = 4; // parallel child sitemap downloads
+/** @type {Map<string, {data:Object, fetchedAt:number, validatedAt:number}>} */
+const sitemapCache = new Map(); // key: sitemapUrl (hot copy of the IndexedDB records)
+/** @type {Map<string, Promise<Object>>} */
+const inflightSitemapFetches = new Map(); // sitemapUrl -> {pending parseSitemap, forced}
+const MAX_SITE_CACHE_ENTRIES = 10; // resolved sites kept in memory (least recently loaded evicted)
+/** @type {Map<string, {data:Object, loadedAt:number}>} */
+const siteSitemapCache = new Map(); // hostname -> resolved sitemaps with their lookup index
+/** @type {Map<string, Promise<Object>>} */
+const inflightSiteLoads = new Map(); // hostname -> pending loadSiteSitemaps
+/** @type {Map<number, {state: string, count: number, applied: string}>} */
+const badgeByTab = new Map(); // tabId -> page state, site count and last badge applied
+let badgeMode = "count";
+
+// --- Persistent storage (IndexedDB) ---
+// Parsed sitemaps survive service worker restarts in the "sitemaps" store, keyed by URL and
+// indexed by the time they were last validated (least recently validated ones are pruned).
+// Every downloaded version with new content is kept as a snapshot: metadata in "snapshots"
+// (auto-increment id, indexed by sitemap URL) and the {loc, lastmod} list in "snapshotEntries".
+// The crawl in progress (with its queue) is kept in "crawls" under the id "current".
+// Health audits (status of every sitemap URL) are kept in "audits", one per site origin.
+// Draft sitemaps that override a site's published ones are kept in "drafts", one per origin.
+const DB_NAME = "sitemap-detector";
+const DB_VERSION = 5;
+const SITEMAP_STORE = "sitemaps";
+const MAX_STORED_SITEMAPS = 200;
+const MAX_STORED_SITEMAP_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days without validation
+const SNAPSHOT_STORE = "snapshots";
+const SNAPSHOT_ENTRIES_STORE = "snapshotEntries";
+const MAX_SNAPSHOTS_PER_SITEMAP = 20;
+// Snapshots are taken for every sitemap read while browsing: the oldest ones are pruned once all
+// snapshots together hold more than MAX_SNAPSHOT_ENTRIES_TOTAL entries or are older than
+// MAX_SNAPSHOT_AGE_MS
+const MAX_SNAPSHOT_ENTRIES_TOTAL = 500000;
+const MAX_SNAPSHOT_AGE_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
+const CRAWL_STORE = "crawls";
+const AUDIT_STORE = "audits";
+const DRAFT_STORE = "drafts";
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade when needed) the extension database.
+ *
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SITEMAP_STORE)) {
+          const sitemapStore = db.createObjectStore(SITEMAP_STORE, { keyPath: "url" });
+          sitemapStore.createIndex("validatedAt", "validatedAt");
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          const snapshotStore = db.createObjectStore(SNAPSHOT_STORE, { keyPath: "id", autoIncrement: true });
+          snapshotStore.createIndex("url", "url");
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_ENTRIES_STORE)) {
+          db.createObjectStore(SNAPSHOT_ENTRIES_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(CRAWL_STORE)) {
+          db.createObjectStore(CRAWL_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(AUDIT_STORE)) {
+          db.createObjectStore(AUDIT_STORE, { keyPath: "origin" });
+        }
+        if (!db.objectStoreNames.contains(DRAFT_STORE)) {
+          db.createObjectStore(DRAFT_STORE, { keyPath: "origin" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null; // allow a later retry
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against an object store and resolve with its result.
+ *
+ * @param {string} storeName - Object store name.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest - Builds the request.
+ * @returns {Promise<any>} The request result.
+ */
+async function idbRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Read a record by key, resolving with undefined when missing or when storage fails.
+ *
+ * @param {string} storeName - Object store name.
+ * @param {IDBValidKey} key - Record key.
+ * @returns {Promise<any>} The stored record or undefined.
+ */
+async function idbGet(storeName, key) {
+  try {
+    return await idbRequest(storeName, "readonly", (store) => store.get(key));
+  } catch (_) {
+    return undefined;
+  }
+}
+
+/**
+ * Store a record, ignoring storage failures (the data is a cache).
+ *
+ * @param {string} storeName - Object store name.
+ * @param {Object} value - Record to store (must contain the store key).
+ * @returns {Promise<void>}
+ */
+async function idbPut(storeName, value) {
+  try {
+    await idbRequest(storeName, "readwrite", (store) => store.put(value));
+  } catch (error) {
+    console.error("Error writing to IndexedDB:", error);
+  }
+}
+
+/**
+ * Delete the stored sitemaps not validated for MAX_STORED_SITEMAP_AGE_MS, and the least
+ * recently validated ones beyond MAX_STORED_SITEMAPS (also from the in-memory copy).
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneStoredSitemaps() {
+  try {
+    const db = await openDatabase();
+    const oldestKept = Date.now() - MAX_STORED_SITEMAP_AGE_MS;
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(SITEMAP_STORE, "readwrite");
+      const store = transaction.objectStore(SITEMAP_STORE);
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - MAX_STORED_SITEMAPS;
+        // Least recently validated first; only keys are read, not the parsed data
+        const cursorRequest = store.index("validatedAt").openKeyCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor || (excess <= 0 && cursor.key >= oldestKept)) return;
+          store.delete(cursor.primaryKey);
+          sitemapCache.delete(cursor.primaryKey);
+          excess--;
+          cursor.continue();
+        };
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.error("Error pruning stored sitemaps:", error);
+  }
+}
+
+/**
+ * SHA-256 of a snapshot's entries, independent of their order in the document.
+ *
+ * @param {Array<{loc: string, lastmod: string}>} entries - Snapshot entries.
+ * @returns {Promise<string>} Hex digest.
+ */
+async function hashSnapshotEntries(entries) {
+  const lines = entries.map((entry) => `${entry.loc}\t${entry.lastmod}`).sort();
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(lines.join("\n")));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Store a snapshot of a freshly downloaded sitemap when its content differs from the latest
+ * snapshot of the same URL, keeping at most MAX_SNAPSHOTS_PER_SITEMAP per URL.
+ *
+ * @param {string} sitemapUrl - Sitemap URL.
+ * @param {Object} data - Successful parse result.
+ * @returns {Promise<void>}
+ */
+async function recordSitemapSnapshot(sitemapUrl, data) {
+  if (!data || !data.success) return;
+  const items = data.type === "sitemapindex" ? data.sitemaps : data.urls;
+  const entries = items.map((item) => ({ loc: item.loc, lastmod: item.lastmod || "" }));
+  try {
+    const hash = await hashSnapshotEntries(entries);
+    const db = await openDatabase();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([SNAPSHOT_STORE, SNAPSHOT_ENTRIES_STORE], "readwrite");
+      const snapshotStore = transaction.objectStore(SNAPSHOT_STORE);
+      const entriesStore = transaction.objectStore(SNAPSHOT_ENTRIES_STORE);
+      // Oldest first: ids are auto-incremented
+      const existing = snapshotStore.index("url").getAll(sitemapUrl);
+      existing.onsuccess = () => {
+        const snapshots = existing.result;
+        const latest = snapshots[snapshots.length - 1];
+        if (latest && latest.hash === hash) return;
+
+        const added = snapshotStore.add({
+          url: sitemapUrl,
+          takenAt: Date.now(),
+          hash,
+          type: data.type,
+          count: entries.length,
+        });
+        added.onsuccess = () => entriesStore.put({ id: added.result, entries });
+        for (const old of snapshots.slice(0, Math.max(0, snapshots.length + 1 - MAX_SNAPSHOTS_PER_SITEMAP))) {
+          snapshotStore.delete(old.id);
+          entriesStore.delete(old.id);
+        }
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    await pruneSitemapSnapshots();
+  } catch (error) {
+    console.error("Error saving sitemap snapshot:", error);
+  }
+}
+
+/**
+ * Delete the snapshots (of any sitemap) older than MAX_SNAPSHOT_AGE_MS, and the oldest ones
+ * beyond MAX_SNAPSHOT_ENTRIES_TOTAL entries in total.
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneSitemapSnapshots() {
+  const db = await openDatabase();
+  const oldestKept = Date.now() - MAX_SNAPSHOT_AGE_MS;
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([SNAPSHOT_STORE, SNAPSHOT_ENTRIES_STORE], "readwrite");
+    const snapshotStore = transaction.objectStore(SNAPSHOT_STORE);
+    const entriesStore = transaction.objectStore(SNAPSHOT_ENTRIES_STORE);
+    let total = 0;
+    // Newest first: ids are auto-incremented
+    const cursorRequest = snapshotStore.openCursor(null, "prev");
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      const snapshot = cursor.value;
+      total += snapshot.count || 0;
+      if (total > MAX_SNAPSHOT_ENTRIES_TOTAL || snapshot.takenAt < oldestKept) {
+        cursor.delete();
+        entriesStore.delete(snapshot.id);
+      }
+      cursor.continue();
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
 
 /**
- * Update extension badge text and colors for a given tab.
+ * Update extension badge text, colors and tooltip for a given tab. The tab keeps both its page
+ * state and its site's non-indexed count, and the badge shows one or the other per `badgeMode`.
  *
  * @param {number} tabId - Target tab ID.
- * @param {number} count - Count to display on the badge (0 clears it).
+ * @param {{state?: string, count?: number}} changes - New page state (a BADGE_STATES key other
+ *   than "count") and/or non-indexed count of the tab's site.
  * @returns {void}
  */
-function updateBadge(tabId, count) {
+function updateBadge(tabId, changes) {
   try {
-    const prev = lastBadgeCount.get(tabId);
-    if (prev === count) return; // avoid redundant API calls
-    lastBadgeCount.set(tabId, count);
+    const badge = { state: "", count: 0, applied: "", ...badgeByTab.get(tabId), ...changes };
+    badgeByTab.set(tabId, badge);
+
+    const countText = badge.count > 0 ? String(badge.count) : "";
+    const style = badgeMode === "state" && BADGE_STATES[badge.state] ? BADGE_STATES[badge.state] : BADGE_STATES.count;
+    const text = style === BADGE_STATES.count ? countText : style.text;
+    const titleParts = ["Sitemap Detector"];
+    if (BADGE_STATES[badge.state]) titleParts.push(BADGE_STATES[badge.state].title);
+    if (badge.count > 0) titleParts.push(`${badge.count} URLs no indexadas en el sitio`);
+    const title = titleParts.join(" · ");
+
+    const applied = `${text}|${style.color}|${title}`;
+    if (badge.applied === applied) return; // avoid redundant API calls
+    badge.applied = applied;
 
-    const text = count && count > 0 ? String(count) : "";
     const badgeApi = (chrome && chrome.action) ? chrome.action : (chrome && chrome.browserAction) ? chrome.browserAction : null;
     if (badgeApi) {
       try { badgeApi.setBadgeText({ text, tabId }); } catch (_) { /* ignore */ }
-      try { badgeApi.setBadgeBackgroundColor({ color: BADGE_BG_COLOR, tabId }); } catch (_) { /* ignore */ }
+      try { badgeApi.setBadgeBackgroundColor({ color: style.color, tabId }); } catch (_) { /* ignore */ }
+      try { badgeApi.setTitle({ title, tabId }); } catch (_) { /* ignore */ }
     }
     try {
       if (typeof chrome.action.setBadgeTextColor === "function") {
@@ -66,12 +351,159 @@ function updateBadge(tabId, count) {
 }
 
 /**
- * Try to guess a sitemap URL by testing common endpoints on the given hostname.
+ * Badge state of the page a check result belongs to.
+ *
+ * @param {Object} result - Result object from processSitemapRequest.
+ * @returns {string} "found", "not-found", "no-sitemap" or "error".
+ */
+function getBadgeState(result) {
+  if (result.hasError) return result.noSitemap ? "no-sitemap" : "error";
+  return result.urlFound ? "found" : "not-found";
+}
+
+// Apply the stored badge mode, and re-render every badge when it changes
+chrome.storage.local.get(BADGE_MODE_STORAGE_KEY).then((stored) => {
+  badgeMode = stored[BADGE_MODE_STORAGE_KEY] === "state" ? "state" : "count";
+  for (const tabId of badgeByTab.keys()) updateBadge(tabId, {});
+}).catch(() => {});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes[BADGE_MODE_STORAGE_KEY]) return;
+  badgeMode = changes[BADGE_MODE_STORAGE_KEY].newValue === "state" ? "state" : "count";
+  for (const tabId of badgeByTab.keys()) updateBadge(tabId, {});
+});
+
+/**
+ * Parse a robots.txt body: every `Sitemap:` directive, plus the `Allow:` / `Disallow:` rules
+ * of the groups that apply to all crawlers (`User-agent: *`).
+ * Relative sitemap values are resolved against the robots.txt URL.
+ *
+ * @param {string} text - Raw robots.txt content.
+ * @param {string} robotsUrl - Absolute URL the robots.txt was read from.
+ * @returns {{sitemaps: Array<string>, rules: Array<{allow: boolean, path: string}>}} Unique
+ *   sitemap URLs in declaration order and the path rules for `*`.
+ */
+function parseRobotsTxt(text, robotsUrl) {
+  const sitemaps = [];
+  const rules = [];
+  let groupAgents = [];
+  let groupHasRules = false;
+  const lines = String(text || "").split(/\r?\n/);
+  for (const rawLine of lines) {
+    // Strip comments, then match "<field>: <value>" case-insensitively
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const match = /^([a-z-]+)\s*:\s*(.*)$/i.exec(line);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === "sitemap") {
+      try {
+        const sitemapUrl = new URL(value.split(/\s/)[0], robotsUrl).href;
+        if (!sitemaps.includes(sitemapUrl)) sitemaps.push(sitemapUrl);
+      } catch (_) {
+        // skip invalid sitemap URL
+      }
+    } else if (field === "user-agent") {
+      // Consecutive User-agent lines share the rules that follow them
+      if (groupHasRules) {
+        groupAgents = [];
+        groupHasRules = false;
+      }
+      groupAgents.push(value.toLowerCase());
+    } else if (field === "allow" || field === "disallow") {
+      groupHasRules = true;
+      // An empty Disallow allows everything, so it adds no rule
+      if (value && groupAgents.includes("*")) rules.push({ allow: field === "allow", path: value });
+    }
+  }
+  return { sitemaps, rules };
+}
+
+/**
+ * Match a URL path against a robots.txt-style pattern: `*` matches any characters, a trailing
+ * `$` anchors the end, and otherwise the pattern is a prefix.
+ *
+ * @param {string} path - Path (with query string) to test.
+ * @param {string} pattern - Pattern, e.g. "/private/", "/*.pdf$".
+ * @returns {boolean} Whether the path matches.
+ */
+function matchesPathPattern(path, pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}${anchored ? "$" : ""}`).test(path);
+}
+
+/**
+ * Whether robots.txt rules allow a path. The longest matching rule wins; Allow wins ties.
+ *
+ * @param {string} path - Path (with query string) to test.
+ * @param {Array<{allow: boolean, path: string}>} rules - Rules from parseRobotsTxt.
+ * @returns {boolean} True when crawling the path is allowed.
+ */
+function isAllowedByRobots(path, rules) {
+  let best = null;
+  for (const rule of rules) {
+    if (!matchesPathPattern(path, rule.path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Read and parse `https://<hostname>/robots.txt`.
+ *
+ * @param {string} hostname - Hostname whose robots.txt to read.
+ * @returns {Promise<{sitemaps: Array<string>, rules: Array<Object>}>} Parsed robots.txt (empty
+ *   when missing or unreadable).
+ */
+async function fetchRobotsTxt(hostname) {
+  const robotsUrl = `https://${hostname}/robots.txt`;
+  try {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10000); // 10s timeout
+    const response = await fetch(robotsUrl, { signal: controller.signal });
+    clearTimeout(timeout);
+    if (!response.ok) return { sitemaps: [], rules: [] };
+    const text = await response.text();
+    return parseRobotsTxt(text, robotsUrl);
+  } catch (error) {
+    // Missing or blocked robots.txt is not an error
+    return { sitemaps: [], rules: [] };
+  }
+}
+
+/**
+ * Read `https://<hostname>/robots.txt` and return the sitemaps it declares.
  *
- * @param {string} hostname - Hostname to test.
- * @returns {Promise<string|null>} Resolved sitemap URL or null if not found.
+ * @param {string} hostname - Hostname whose robots.txt to read.
+ * @returns {Promise<Array<string>>} Declared sitemap URLs (empty when missing or unreadable).
  */
-async function getSitemapUrl(hostname) {
+async function getRobotsSitemaps(hostname) {
+  // Without declared sitemaps, discovery falls back to common paths
+  return (await fetchRobotsTxt(hostname)).sitemaps;
+}
+
+/**
+ * Discover the sitemaps of a site. `Sitemap:` directives from robots.txt are used first;
+ * when none are declared, common sitemap endpoints are probed with HEAD requests.
+ *
+ * @param {string} hostname - Hostname to inspect.
+ * @returns {Promise<Array<{url: string, discovery: string}>>} Discovered sitemaps with the
+ *   method that found them ("robots" or "common"). Empty when nothing was found.
+ */
+async function discoverSitemaps(hostname) {
+  const robotsSitemaps = await getRobotsSitemaps(hostname);
+  if (robotsSitemaps.length > 0) {
+    return robotsSitemaps.map((url) => ({ url, discovery: "robots" }));
+  }
+
   const possibleSitemapUrls = [
     `https://${hostname}/sitemap.xml`,
     `https://${hostname}/sitemap_index.xml`,
@@ -81,635 +513,4010 @@ async function getSitemapUrl(hostname) {
     try {
       const response = await fetch(sitemapUrl, { method: "HEAD" });
       if (response.ok) {
-        return sitemapUrl;
+        return [{ url: sitemapUrl, discovery: "common" }];
       }
     } catch (error) {
       // Ignore fetch errors for HEAD requests
     }
   }
 
-  return null;
+  return [];
+}
+
+// --- Sitemap errors ---
+// Failed sitemap operations keep the readable `error` message and add an `errorCode` with
+// `errorDetails` ({status, url, phase, attemptedFallbacks}) so callers can tell failures apart:
+//   NO_SITEMAP       nothing declared in robots.txt nor at the common paths
+//   CORS_BLOCKED     the extension's request got no response while the page context reached
+//                    the server, so the browser refused it (set by fetchSitemapDocument)
+//   NETWORK          no connection to the server, or it dropped while the body was being read
+//   TIMEOUT          no response headers, or no body data for SITEMAP_FETCH_TIMEOUT_MS (`timeoutMs`)
+//   HTTP_4XX/5XX     error status from the server (`status` holds it)
+//   SIZE_LIMIT       the sitemap exceeds the site's size limit (`limitMb`, up to `maxLimitMb`)
+//   DECOMPRESSION    invalid or unsupported gzip body
+//   XML_PARSE        malformed XML
+//   EMPTY_SITEMAP    empty body or no <url>/<sitemap> entries
+//   PAGE_CONTEXT_UNAVAILABLE  no tab to fetch from, or the script could not run in it
+//   UNKNOWN          anything else
+// `phase` is where it failed: "discovery", "fetch", "parse", "page-fetch" or "index".
+const SITEMAP_ERROR_CODES = [
+  "NO_SITEMAP",
+  "CORS_BLOCKED",
+  "NETWORK",
+  "TIMEOUT",
+  "HTTP_4XX",
+  "HTTP_5XX",
+  "SIZE_LIMIT",
+  "DECOMPRESSION",
+  "XML_PARSE",
+  "EMPTY_SITEMAP",
+  "PAGE_CONTEXT_UNAVAILABLE",
+  "UNKNOWN",
+];
+
+/**
+ * Create an Error tagged with a sitemap error code, thrown inside the download/parse pipeline
+ * and turned into a failure result by toSitemapFailure.
+ *
+ * @param {string} code - Sitemap error code.
+ * @param {string} message - Readable (Spanish) message.
+ * @param {{status?: number, limitMb?: number}} [details] - Extra fields kept on the error.
+ * @returns {Error} The tagged error.
+ */
+function createSitemapError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code }, details);
+}
+
+/**
+ * Whether an error was tagged by createSitemapError (platform errors may carry other codes).
+ *
+ * @param {Error} error - Caught error.
+ * @returns {boolean} True for sitemap errors.
+ */
+function isSitemapError(error) {
+  return !!error && SITEMAP_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Build the failure result of a sitemap operation.
+ *
+ * @param {string} code - Sitemap error code.
+ * @param {string} message - Readable (Spanish) message, kept in `error`.
+ * @param {{status?: number|null, url?: string, phase?: string, attemptedFallbacks?: Array<string>,
+ *   limitMb?: number, maxLimitMb?: number, timeoutMs?: number, fallbackError?: Object}} [details] -
+ *   Structured details.
+ * @returns {{success: false, error: string, errorCode: string, errorDetails: Object}} Failure result.
+ */
+function sitemapFailure(code, message, details = {}) {
+  const { status = null, url = "", phase = "", attemptedFallbacks = [], ...extra } = details;
+  return {
+    success: false,
+    error: message,
+    errorCode: code,
+    errorDetails: { status, url, phase, attemptedFallbacks, ...extra },
+  };
+}
+
+/**
+ * Classify an error caught while downloading or parsing a sitemap. Errors without a code are
+ * timeouts (AbortError), network failures (TypeError, before or after the response) or XML
+ * parser failures. A failed request alone cannot tell CORS from a network error, so it is
+ * reported as NETWORK; fetchSitemapDocument relabels it once the page context is tried.
+ *
+ * @param {Error} error - Caught error.
+ * @param {string} url - Sitemap URL.
+ * @param {string} phase - "fetch", "parse" or "page-fetch".
+ * @returns {Object} Failure result as returned by sitemapFailure.
+ */
+function toSitemapFailure(error, url, phase) {
+  const name = error && error.name;
+  let code = isSitemapError(error) ? error.code : "";
+  let message = error && error.message ? error.message : String(error);
+  if (!code) {
+    if (name === "AbortError") {
+      code = "TIMEOUT";
+      message = phase === "parse"
+        ? `La descarga del sitemap se detuvo durante más de ${SITEMAP_FETCH_TIMEOUT_MS / 1000}s`
+        : `El servidor no respondió en ${SITEMAP_FETCH_TIMEOUT_MS / 1000}s`;
+    } else if (name === "TypeError" && phase !== "parse") {
+      code = "NETWORK";
+      message = `No se pudo conectar con el servidor del sitemap: ${message}`;
+    } else if (name === "TypeError") {
+      code = "NETWORK";
+      message = `La conexión se interrumpió al leer el sitemap: ${message}`;
+    } else {
+      code = phase === "parse" ? "XML_PARSE" : "UNKNOWN";
+    }
+  }
+  const details = { status: error && error.status, url, phase };
+  if (error && error.limitMb) details.limitMb = error.limitMb;
+  // The popup builds its guidance from these instead of repeating the constants
+  if (code === "SIZE_LIMIT") details.maxLimitMb = MAX_RAISED_SITEMAP_MB;
+  if (code === "TIMEOUT") details.timeoutMs = SITEMAP_FETCH_TIMEOUT_MS;
+  return sitemapFailure(code, message, details);
+}
+
+/**
+ * Error code of an HTTP error status.
+ *
+ * @param {number} status - HTTP status code.
+ * @returns {string} "HTTP_5XX" for server errors, otherwise "HTTP_4XX".
+ */
+function getHttpErrorCode(status) {
+  return status >= 500 ? "HTTP_5XX" : "HTTP_4XX";
+}
+
+/**
+ * Size in whole megabytes.
+ *
+ * @param {number} bytes - Size in bytes.
+ * @returns {number} Megabytes.
+ */
+function toMegabytes(bytes) {
+  return Math.round(bytes / (1024 * 1024));
 }
 
+// --- Per-site size limits ---
+// Sites with larger sitemaps than the protocol allows can raise their limit (up to
+// MAX_RAISED_SITEMAP_MB) from the popup when a SIZE_LIMIT error is shown.
+
 /**
- * Parse the sitemap XML and extract URLs and metadata
+ * Size limit applied to a sitemap download, compressed and decompressed.
  *
- * @param {string} sitemapUrl - The URL of the sitemap to parse
+ * @param {string} sitemapUrl - Absolute sitemap URL.
+ * @returns {Promise<number>} Limit in bytes.
+ */
+async function getSitemapByteLimit(sitemapUrl) {
+  try {
+    const hostname = new URL(sitemapUrl).hostname;
+    const stored = await chrome.storage.local.get(SIZE_LIMITS_STORAGE_KEY);
+    const megabytes = (stored[SIZE_LIMITS_STORAGE_KEY] || {})[hostname];
+    if (megabytes) return megabytes * 1024 * 1024;
+  } catch (_) {
+    // default limit
+  }
+  return MAX_SITEMAP_BYTES;
+}
+
+/**
+ * Store the size limit of a site. Values at or below the protocol limit remove the override.
  *
- * @returns {Object} An object containing the parsing result and URLs
+ * @param {string} pageUrl - Any URL of the site.
+ * @param {number} megabytes - New limit in MB (MAX_SITEMAP_MB to MAX_RAISED_SITEMAP_MB).
+ * @returns {Promise<number>} The limit applied, in MB.
  */
+async function setSitemapSizeLimit(pageUrl, megabytes) {
+  const hostname = new URL(pageUrl).hostname;
+  const value = Math.round(Number(megabytes));
+  if (!Number.isFinite(value) || value < 1 || value > MAX_RAISED_SITEMAP_MB) {
+    throw new Error(`El límite debe estar entre 1 y ${MAX_RAISED_SITEMAP_MB} MB`);
+  }
+  const stored = await chrome.storage.local.get(SIZE_LIMITS_STORAGE_KEY);
+  const limits = { ...(stored[SIZE_LIMITS_STORAGE_KEY] || {}) };
+  if (value <= MAX_SITEMAP_MB) delete limits[hostname];
+  else limits[hostname] = value;
+  await chrome.storage.local.set({ [SIZE_LIMITS_STORAGE_KEY]: limits });
+  return Math.max(value, MAX_SITEMAP_MB);
+}
+
 /**
  * Fetch and parse the sitemap at the provided URL, with caching and size guards.
+ * The body is read as a stream and fed chunk by chunk to the incremental parser, so
+ * protocol-sized sitemaps never have to be held in memory as a single string.
+ *
+ * Parsed results are persisted in IndexedDB with the response ETag/Last-Modified. Once
+ * SITEMAP_CACHE_TTL_MS has elapsed, the sitemap is revalidated with a conditional request and
+ * a 304 reuses the stored result. `forceRefresh` always downloads the full sitemap again.
+ *
+ * @param {string} sitemapUrl - Absolute sitemap URL.
+ * @param {{forceRefresh?: boolean}} [options] - Skip the cache and download without validators.
+ * @returns {Promise<Object>} Result object with success flag, urls, count, lastModified and
+ *   cache metadata (fetchedAt, validatedAt, cacheStatus), or a failure result as returned by
+ *   sitemapFailure.
+ */
+async function parseSitemap(sitemapUrl, options = {}) {
+  // Concurrent requests for the same sitemap share one download; a forced refresh only joins
+  // another forced one, since a normal request may answer from the cache
+  const inflight = inflightSitemapFetches.get(sitemapUrl);
+  if (inflight && (inflight.forced || !options.forceRefresh)) return inflight.pending;
+
+  const pending = fetchAndParseSitemap(sitemapUrl, options);
+  const current = { pending, forced: !!options.forceRefresh };
+  inflightSitemapFetches.set(sitemapUrl, current);
+  try {
+    return await pending;
+  } finally {
+    if (inflightSitemapFetches.get(sitemapUrl) === current) inflightSitemapFetches.delete(sitemapUrl);
+  }
+}
+
+/**
+ * Cache lookup, conditional download and parse behind parseSitemap.
  *
  * @param {string} sitemapUrl - Absolute sitemap URL.
- * @returns {Promise<Object>} Result object with success flag, urls, count, lastModified, and/or error.
+ * @param {{forceRefresh?: boolean}} options - Skip the cache and download without validators.
+ * @returns {Promise<Object>} Same result as parseSitemap.
  */
-async function parseSitemap(sitemapUrl) {
-  // Cache-first: return recent fetch to avoid repeated network
-  const cached = sitemapCache.get(sitemapUrl);
+async function fetchAndParseSitemap(sitemapUrl, options) {
   const now = Date.now();
-  if (cached && now - cached.fetchedAt < SITEMAP_CACHE_TTL_MS) {
-    return parseSitemapFromText(cached.text);
+  const withCacheInfo = (record, cacheStatus) => ({
+    ...record.data,
+    fetchedAt: record.fetchedAt,
+    validatedAt: record.validatedAt,
+    cacheStatus,
+  });
+
+  // Cache-first: return recent parse result to avoid repeated network
+  let cached = sitemapCache.get(sitemapUrl);
+  if (!cached) {
+    cached = await idbGet(SITEMAP_STORE, sitemapUrl);
+    if (cached) sitemapCache.set(sitemapUrl, cached);
+  }
+  if (cached && !options.forceRefresh && now - cached.validatedAt < SITEMAP_CACHE_TTL_MS) {
+    return withCacheInfo(cached, "cache");
+  }
+
+  // Conditional request when we hold validators for a previous response (unless forced)
+  const headers = {};
+  if (cached && !options.forceRefresh) {
+    if (cached.etag) headers["If-None-Match"] = cached.etag;
+    if (cached.lastModifiedHeader) headers["If-Modified-Since"] = cached.lastModifiedHeader;
   }
 
   // Try a normal fetch first; if it fails, the caller can try a page-context fetch
+  const maxBytes = await getSitemapByteLimit(sitemapUrl);
+  const controller = new AbortController();
+  let timeout = setTimeout(() => controller.abort(), SITEMAP_FETCH_TIMEOUT_MS);
+  let phase = "fetch";
   try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
-    const response = await fetch(sitemapUrl, { signal: controller.signal });
+    const response = await fetch(sitemapUrl, { signal: controller.signal, headers });
     clearTimeout(timeout);
 
+    if (response.status === 304 && cached) {
+      const record = { ...cached, validatedAt: now };
+      sitemapCache.set(sitemapUrl, record);
+      await idbPut(SITEMAP_STORE, record);
+      return withCacheInfo(record, "revalidated");
+    }
+
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+      throw createSitemapError(getHttpErrorCode(response.status), `HTTP ${response.status}`, {
+        status: response.status,
+      });
     }
 
     const contentLength = response.headers.get("content-length");
-    if (contentLength && Number(contentLength) > MAX_SITEMAP_BYTES) {
-      throw new Error("Sitemap demasiado grande (límite 5MB)");
+    if (contentLength && Number(contentLength) > maxBytes) {
+      throw createSitemapError("SIZE_LIMIT", `Sitemap demasiado grande (límite ${toMegabytes(maxBytes)}MB)`, {
+        status: response.status,
+        limitMb: toMegabytes(maxBytes),
+      });
     }
 
-    const text = await response.text();
-    // basic size guard post-read (in case no content-length provided)
-    if (text && text.length > MAX_SITEMAP_BYTES * 1.2) {
-      throw new Error("Sitemap excede el tamaño permitido");
-    }
+    phase = "parse";
+    // A large sitemap may take long to download: only a body that stalls is aborted
+    const restartTimeout = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => controller.abort(), SITEMAP_FETCH_TIMEOUT_MS);
+    };
+    restartTimeout();
+    const data = await parseSitemapStream(
+      response.body && response.body.pipeThrough(createIdleTimeoutStream(restartTimeout)),
+      sitemapUrl,
+      response.headers.get("content-type"),
+      maxBytes
+    );
 
-    sitemapCache.set(sitemapUrl, { text, fetchedAt: now });
-    return parseSitemapFromText(text);
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message,
+    const record = {
+      url: sitemapUrl,
+      data,
+      etag: response.headers.get("etag") || "",
+      lastModifiedHeader: response.headers.get("last-modified") || "",
+      fetchedAt: now,
+      validatedAt: now,
     };
+    sitemapCache.set(sitemapUrl, record);
+    await idbPut(SITEMAP_STORE, record);
+    await pruneStoredSitemaps();
+    await recordSitemapSnapshot(sitemapUrl, data);
+    return withCacheInfo(record, "network");
+  } catch (error) {
+    return toSitemapFailure(error, sitemapUrl, phase);
+  } finally {
+    clearTimeout(timeout);
   }
 }
 
-// Extract parsing logic into a separate function so we can parse text from any source
 /**
- * Parse a sitemap XML string into URL entries. Uses DOMParser when possible, with regex fallback.
+ * Parse a sitemap response body incrementally. The raw bytes are size-limited, sniffed for
+ * gzip and decompressed (also size-limited) before being decoded and fed to the parser.
  *
- * @param {string} text - Raw XML content.
- * @returns {Object} Object with success flag, urls list, count, lastModified, and/or error.
+ * @param {ReadableStream<Uint8Array>|null} body - Response body stream.
+ * @param {string} sitemapUrl - URL the body was fetched from (used for gzip detection).
+ * @param {string|null} contentType - Response content-type header.
+ * @param {number} [maxBytes] - Size limit, compressed and decompressed (MAX_SITEMAP_BYTES by default).
+ * @returns {Promise<Object>} Parse result as returned by buildParseResult.
+ * @throws {Error} On size limit, decompression or parse failures, tagged by createSitemapError
+ *   (untagged errors come from the XML parser).
  */
-function parseSitemapFromText(text) {
-  // Helper: safe text extraction
-  const getText = (node) => (node && typeof node.textContent === "string" ? node.textContent.trim() : "");
-
-  try {
-    // Prefer DOMParser when available (robust with whitespace, CDATA, namespaces)
-    if (typeof DOMParser === "function") {
-      const parser = new DOMParser();
-      const xml = parser.parseFromString(text, "application/xml");
-
-      // Detect parser errors (Firefox uses <parsererror>; Chrome sets documentElement to parsererror in some cases)
-      const isParserError =
-        !xml ||
-        !xml.documentElement ||
-        xml.documentElement.nodeName.toLowerCase() === "parsererror" ||
-        xml.getElementsByTagName("parsererror").length > 0;
-
-      if (!isParserError) {
-        // Collect <url> nodes irrespective of namespaces using localName
-        const allNodes = xml.getElementsByTagName("*");
-        const urlNodes = [];
-        for (let i = 0; i < allNodes.length; i++) {
-          if (allNodes[i].localName === "url") urlNodes.push(allNodes[i]);
-        }
+async function parseSitemapStream(body, sitemapUrl, contentType, maxBytes = MAX_SITEMAP_BYTES) {
+  if (!body) throw createSitemapError("EMPTY_SITEMAP", "Respuesta vacía");
 
-        const urls = [];
-        for (const urlNode of urlNodes) {
-          // Find <loc> and <lastmod> among children by localName
-          let loc = "";
-          let lastmod = "";
-          for (let i = 0; i < urlNode.childNodes.length; i++) {
-            const child = urlNode.childNodes[i];
-            if (!child || child.nodeType !== 1) continue; // element nodes only
-            if (child.localName === "loc") loc = getText(child);
-            else if (child.localName === "lastmod") lastmod = getText(child);
-          }
-          if (loc) urls.push({ loc, lastmod });
-        }
+  const limitMessage = `Sitemap demasiado grande (límite ${toMegabytes(maxBytes)}MB)`;
+  const reader = body.pipeThrough(createByteLimitStream(maxBytes, limitMessage)).getReader();
 
-        if (urls.length > 0) {
-          return {
-            success: true,
-            urls,
-            count: urls.length,
-            lastModified: urls.length > 0 ? urls[0].lastmod : "",
-          };
-        }
-        // If XML parsed but no <url> entries, continue to regex fallback below
-      }
-      // If parser error, fall through to regex fallback
+  // Buffer just enough leading bytes to sniff gzip / XML
+  const head = [];
+  let headLength = 0;
+  let finished = false;
+  while (headLength < 16) {
+    const { done, value } = await reader.read();
+    if (done) {
+      finished = true;
+      break;
     }
-  } catch (_) {
-    // If DOMParser path fails for any reason, fall back to regex
+    head.push(value);
+    headLength += value.byteLength;
+  }
+  const headBytes = new Uint8Array(headLength);
+  let offset = 0;
+  for (const chunk of head) {
+    headBytes.set(chunk, offset);
+    offset += chunk.byteLength;
   }
 
-  // Fallback: legacy regex-based parsing (works for simple sitemaps)
-  try {
-    const urls = [];
-    const urlRegex = /<url>([\s\S]*?)<\/url>/g;
-    let match;
-    while ((match = urlRegex.exec(text)) !== null) {
-      const urlBlock = match[1];
-      const locMatch = /<loc>(.*?)<\/loc>/i.exec(urlBlock);
-      const loc = locMatch ? locMatch[1].trim() : "";
-      const lastmodMatch = /<lastmod>(.*?)<\/lastmod>/i.exec(urlBlock);
-      const lastmod = lastmodMatch ? lastmodMatch[1].trim() : "";
-      if (loc) urls.push({ loc, lastmod });
-    }
+  let byteStream = new ReadableStream({
+    start(streamController) {
+      if (headLength > 0) streamController.enqueue(headBytes);
+      if (finished) streamController.close();
+    },
+    async pull(streamController) {
+      const { done, value } = await reader.read();
+      if (done) streamController.close();
+      else streamController.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
 
-    if (urls.length === 0) {
-      throw new Error("No se encontraron URL válidas en el sitemap");
+  const gzipped = isGzipSitemap(sitemapUrl, contentType, headBytes);
+  if (gzipped) {
+    if (typeof DecompressionStream !== "function") {
+      throw createSitemapError("DECOMPRESSION", "Este navegador no puede descomprimir sitemaps .gz");
     }
+    byteStream = byteStream
+      .pipeThrough(new DecompressionStream("gzip"))
+      .pipeThrough(
+        createByteLimitStream(
+          maxBytes,
+          `Sitemap descomprimido demasiado grande (límite ${toMegabytes(maxBytes)}MB)`
+        )
+      );
+  }
 
-    return {
-      success: true,
-      urls,
-      count: urls.length,
-      lastModified: urls.length > 0 ? urls[0].lastmod : "",
-    };
-  } catch (error) {
-    return { success: false, error: error.message };
+  const accumulator = createSitemapAccumulator();
+  const textReader = byteStream.pipeThrough(new TextDecoderStream("utf-8")).getReader();
+  while (true) {
+    let chunk;
+    try {
+      chunk = await textReader.read();
+    } catch (error) {
+      if (gzipped && !isSitemapError(error) && error.name !== "AbortError") {
+        throw createSitemapError("DECOMPRESSION", "No se pudo descomprimir el sitemap gzip");
+      }
+      throw error;
+    }
+    if (chunk.done) break;
+    accumulator.write(chunk.value);
   }
+
+  return accumulator.finish();
 }
 
-// Page-context fetch fallback using scripting.executeScript
 /**
- * Fallback to fetch sitemap content within the page context (bypassing CORS in background).
+ * Create a pass-through byte stream that calls `onChunk` for every chunk, so the caller can
+ * restart an idle timer.
  *
- * @param {string} sitemapUrl - Absolute URL to fetch.
- * @param {number} tabId - Tab ID used for `scripting.executeScript` target.
- * @returns {Promise<Object>} Result object with success flag and text or error.
+ * @param {() => void} onChunk - Called before each chunk is passed on.
+ * @returns {TransformStream<Uint8Array, Uint8Array>} The observing transform.
  */
-async function pageFetchSitemap(sitemapUrl, tabId) {
-  if (!tabId) {
-    return {
-      success: false,
-      error: "No tabId provided for page-context fallback",
-    };
-  }
+function createIdleTimeoutStream(onChunk) {
+  return new TransformStream({
+    transform(chunk, streamController) {
+      onChunk();
+      streamController.enqueue(chunk);
+    },
+  });
+}
 
-  try {
-    const results = await chrome.scripting.executeScript({
-      target: { tabId },
-      func: async (url) => {
-        try {
-          const resp = await fetch(url);
-          if (!resp.ok) return { success: false, error: `HTTP ${resp.status}` };
-          const text = await resp.text();
-          return { success: true, text };
-        } catch (e) {
-          return {
-            success: false,
-            error: e && e.message ? e.message : String(e),
-          };
-        }
-      },
-      args: [sitemapUrl],
-    });
+/**
+ * Create a pass-through byte stream that errors as soon as more than `maxBytes` flow through.
+ *
+ * @param {number} maxBytes - Maximum number of bytes accepted.
+ * @param {string} limitMessage - Message of the SIZE_LIMIT error raised when the limit is exceeded.
+ * @returns {TransformStream<Uint8Array, Uint8Array>} The limiting transform.
+ */
+function createByteLimitStream(maxBytes, limitMessage) {
+  let total = 0;
+  return new TransformStream({
+    transform(chunk, streamController) {
+      total += chunk.byteLength;
+      if (total > maxBytes) {
+        streamController.error(createSitemapError("SIZE_LIMIT", limitMessage, { limitMb: toMegabytes(maxBytes) }));
+        return;
+      }
+      streamController.enqueue(chunk);
+    },
+  });
+}
 
-    if (!results || results.length === 0) {
-      return { success: false, error: "No result from page fetch" };
-    }
+/**
+ * Decide whether a downloaded sitemap body is gzip-compressed, using the gzip magic bytes
+ * (1f 8b), the `.gz` URL extension and the content-type. A hinted body that already starts
+ * like XML was decoded by the transport (`Content-Encoding: gzip`) and is left as is.
+ *
+ * @param {string} sitemapUrl - URL the body was fetched from.
+ * @param {string|null} contentType - Response content-type header.
+ * @param {Uint8Array} bytes - Leading body bytes.
+ * @returns {boolean} True when the body must be decompressed.
+ */
+function isGzipSitemap(sitemapUrl, contentType, bytes) {
+  if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) return true;
+
+  let pathname = sitemapUrl;
+  try {
+    pathname = new URL(sitemapUrl).pathname;
+  } catch (_) {
+    // keep raw string
+  }
+  const hinted = /\.gz$/i.test(pathname) || /gzip/i.test(contentType || "");
+  if (!hinted) return false;
+
+  // First non-whitespace byte after an optional UTF-8 BOM
+  let i = bytes.length >= 3 && bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf ? 3 : 0;
+  while (i < bytes.length && (bytes[i] === 0x20 || bytes[i] === 0x09 || bytes[i] === 0x0a || bytes[i] === 0x0d)) i++;
+  return bytes[i] !== 0x3c; // "<"
+}
+
+// Matches the start tag of a sitemap entry (<url> or <sitemap>, optionally prefixed) but not <urlset>/<sitemapindex>
+const ENTRY_START_REGEX = /<(([A-Za-z_][\w.-]*:)?(url|sitemap))(?=[\s>/])(?:[^>"']|"[^"]*"|'[^']*')*>/g;
+// Matches the prolog (<?xml?>, comments, DOCTYPE) or the document element start tag
+const ROOT_START_REGEX = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<([A-Za-z_][\w.:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+// Tokenizer for a single entry block: CDATA, comments, PIs, tags, text, stray "<"
+const XML_TOKEN_REGEX =
+  /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+const XML_ATTRIBUTE_REGEX = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+// Raw <loc> source of an entry block, and an "&" that does not start an entity reference
+const RAW_LOC_REGEX = /<(?:[A-Za-z_][\w.-]*:)?loc>([\s\S]*?)<\//;
+const UNESCAPED_AMPERSAND_REGEX = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/i;
+// A single <url> block larger than this is treated as malformed (e.g. a missing close tag)
+const MAX_SITEMAP_ENTRY_CHARS = 1024 * 1024;
+
+/**
+ * Decode the predefined XML entities and numeric character references.
+ *
+ * @param {string} value - Raw XML text.
+ * @returns {string} Decoded text.
+ */
+function decodeXmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const lower = entity.toLowerCase();
+    if (lower === "amp") return "&";
+    if (lower === "lt") return "<";
+    if (lower === "gt") return ">";
+    if (lower === "quot") return '"';
+    if (lower === "apos") return "'";
+    const codePoint = lower.startsWith("#x") ? parseInt(lower.slice(2), 16) : parseInt(lower.slice(1), 10);
+    try {
+      return String.fromCodePoint(codePoint);
+    } catch (_) {
+      return match;
+    }
+  });
+}
+
+/**
+ * Escape text for use in XML element content or attribute values.
+ *
+ * @param {string} value - Plain text.
+ * @returns {string} Escaped text.
+ */
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => {
+    if (char === "&") return "&amp;";
+    if (char === "<") return "&lt;";
+    if (char === ">") return "&gt;";
+    if (char === '"') return "&quot;";
+    return "&apos;";
+  });
+}
+
+/**
+ * Parse the attributes part of a start tag into a plain object.
+ *
+ * @param {string} source - Raw attribute source (everything after the tag name).
+ * @returns {Object<string, string>} Attribute map keyed by qualified name.
+ */
+function parseXmlAttributes(source) {
+  const attributes = {};
+  if (!source) return attributes;
+  XML_ATTRIBUTE_REGEX.lastIndex = 0;
+  let match;
+  while ((match = XML_ATTRIBUTE_REGEX.exec(source)) !== null) {
+    attributes[match[1]] = decodeXmlEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse one complete entry block (e.g. `<url>...</url>`) into a tiny element tree.
+ *
+ * @param {string} block - XML source of the entry element.
+ * @returns {{name: string, localName: string, attributes: Object, children: Array, text: string}} Root element.
+ * @throws {Error} When the block is not well-formed.
+ */
+function parseXmlBlock(block) {
+  const stack = [];
+  let root = null;
+  XML_TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = XML_TOKEN_REGEX.exec(block)) !== null) {
+    const [, cdata, closing, name, attributeSource, selfClosing, text, strayLt] = match;
+    const current = stack[stack.length - 1];
+    if (strayLt) throw new Error("Etiqueta mal formada");
+    if (cdata !== undefined) {
+      if (current) current.text += cdata;
+    } else if (text !== undefined) {
+      if (current) current.text += decodeXmlEntities(text);
+    } else if (name) {
+      if (closing) {
+        if (!current || current.name !== name) throw new Error(`Cierre inesperado </${name}>`);
+        stack.pop();
+        continue;
+      }
+      const colon = name.indexOf(":");
+      const element = {
+        name,
+        localName: colon >= 0 ? name.slice(colon + 1) : name,
+        attributes: parseXmlAttributes(attributeSource),
+        children: [],
+        text: "",
+      };
+      if (current) current.children.push(element);
+      else if (!root) root = element;
+      else throw new Error("Más de un elemento raíz");
+      if (!selfClosing) stack.push(element);
+    }
+    // comments and processing instructions are ignored
+  }
+  if (!root || stack.length > 0) throw new Error("Elemento sin cerrar");
+  return root;
+}
+
+/**
+ * Collect the trimmed text of an element's direct children, keyed by local name.
+ *
+ * @param {Object} element - Element returned by parseXmlBlock.
+ * @returns {Object<string, string>} Child texts (first occurrence wins).
+ */
+function readChildTexts(element) {
+  const texts = {};
+  for (const child of element.children) {
+    if (!(child.localName in texts)) texts[child.localName] = child.text.trim();
+  }
+  return texts;
+}
+
+/**
+ * Read an `image:image` extension element.
+ *
+ * @param {Object} element - The image element.
+ * @returns {{loc: string, title?: string, caption?: string}} Image data.
+ */
+function readImageExtension(element) {
+  const texts = readChildTexts(element);
+  const image = { loc: texts.loc || "" };
+  if (texts.title) image.title = texts.title;
+  if (texts.caption) image.caption = texts.caption;
+  return image;
+}
+
+/**
+ * Read a `video:video` extension element.
+ *
+ * @param {Object} element - The video element.
+ * @returns {Object} Video data (title, description, thumbnail, content/player locations, duration, publication date).
+ */
+function readVideoExtension(element) {
+  const texts = readChildTexts(element);
+  const video = { title: texts.title || "" };
+  if (texts.description) video.description = texts.description;
+  if (texts.thumbnail_loc) video.thumbnailLoc = texts.thumbnail_loc;
+  if (texts.content_loc) video.contentLoc = texts.content_loc;
+  if (texts.player_loc) video.playerLoc = texts.player_loc;
+  if (texts.duration) video.duration = texts.duration;
+  if (texts.publication_date) video.publicationDate = texts.publication_date;
+  return video;
+}
+
+/**
+ * Read a `news:news` extension element.
+ *
+ * @param {Object} element - The news element.
+ * @returns {{title: string, publicationName: string, publicationLanguage: string, publicationDate: string}} News data.
+ */
+function readNewsExtension(element) {
+  const texts = readChildTexts(element);
+  const publication = element.children.find((child) => child.localName === "publication");
+  const publicationTexts = publication ? readChildTexts(publication) : {};
+  return {
+    title: texts.title || "",
+    publicationName: publicationTexts.name || "",
+    publicationLanguage: publicationTexts.language || "",
+    publicationDate: texts.publication_date || "",
+  };
+}
+
+/**
+ * Convert a parsed <url>/<sitemap> element into a sitemap entry, including the image,
+ * video, news and hreflang (`xhtml:link rel="alternate"`) extensions when present.
+ *
+ * @param {Object} element - Root element returned by parseXmlBlock.
+ * @returns {{loc: string, lastmod: string, changefreq?: string, priority?: string,
+ *   images?: Array<Object>, videos?: Array<Object>, news?: Object,
+ *   alternates?: Array<{hreflang: string, href: string}>}} Entry.
+ */
+function readSitemapEntry(element) {
+  const entry = { loc: "", lastmod: "" };
+  for (const child of element.children) {
+    const value = child.text.trim();
+    if (child.localName === "loc") entry.loc = value;
+    else if (child.localName === "lastmod") entry.lastmod = value;
+    else if (child.localName === "changefreq") entry.changefreq = value;
+    else if (child.localName === "priority") entry.priority = value;
+    else if (child.localName === "image") {
+      (entry.images = entry.images || []).push(readImageExtension(child));
+    } else if (child.localName === "video") {
+      (entry.videos = entry.videos || []).push(readVideoExtension(child));
+    } else if (child.localName === "news") {
+      entry.news = readNewsExtension(child);
+    } else if (child.localName === "link" && child.attributes.rel === "alternate" && child.attributes.hreflang) {
+      (entry.alternates = entry.alternates || []).push({
+        hreflang: child.attributes.hreflang,
+        href: (child.attributes.href || "").trim(),
+      });
+    }
+  }
+  return entry;
+}
+
+/**
+ * Legacy regex extraction for a single entry block, used when the block is not well-formed.
+ *
+ * @param {string} block - XML source of the entry element.
+ * @returns {{loc: string, lastmod: string}} Entry (loc may be empty).
+ */
+function readSitemapEntryWithRegex(block) {
+  const locMatch = /<loc>(.*?)<\/loc>/i.exec(block);
+  const loc = locMatch ? locMatch[1].trim() : "";
+  const lastmodMatch = /<lastmod>(.*?)<\/lastmod>/i.exec(block);
+  const lastmod = lastmodMatch ? lastmodMatch[1].trim() : "";
+  return { loc, lastmod };
+}
+
+/**
+ * Legacy regex extraction of every <url> or <sitemap> block of a document.
+ *
+ * @param {string} text - Raw XML content.
+ * @param {"url"|"sitemap"} tagName - Entry element name.
+ * @returns {Array<{loc: string, lastmod: string}>} Entries with a loc.
+ */
+function readSitemapBlocksWithRegex(text, tagName) {
+  const entries = [];
+  const blockRegex = new RegExp(`<${tagName}>([\\s\\S]*?)<\\/${tagName}>`, "g");
+  let match;
+  while ((match = blockRegex.exec(text)) !== null) {
+    const entry = readSitemapEntryWithRegex(match[1]);
+    if (entry.loc) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Legacy regex lookup of the root element name, skipping the XML declaration, comments and
+ * the doctype.
+ *
+ * @param {string} text - Raw document.
+ * @returns {string} Qualified name of the root element, or "" when none is found.
+ */
+function readRootNameWithRegex(text) {
+  const match = /^(?:\s|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)*<([A-Za-z_][\w.:-]*)/i.exec(text);
+  return match ? match[1] : "";
+}
+
+/**
+ * Create an incremental sitemap parser. Text is fed with `write()` in arbitrary chunks; every
+ * complete <url> or <sitemap> element is parsed and emitted right away, and consumed text is
+ * dropped, so memory stays proportional to one entry instead of the whole document.
+ *
+ * @param {(kind: "url"|"sitemap", entry: Object) => void} onEntry - Called for every entry.
+ * @returns {{write: (chunk: string) => void, end: () => {root: Object|null, entries: number, diagnostics: Array<Object>}}} Parser.
+ */
+function createSitemapStreamParser(onEntry) {
+  let buffer = "";
+  let root = null;
+  let entries = 0;
+  const diagnostics = []; // raw-source problems that are lost once entities are decoded
+
+  const emit = (kind, block) => {
+    let entry;
+    try {
+      entry = readSitemapEntry(parseXmlBlock(block));
+    } catch (_) {
+      entry = readSitemapEntryWithRegex(block);
+    }
+    if (!entry.loc) return;
+    entries++;
+    const rawLoc = RAW_LOC_REGEX.exec(block);
+    if (rawLoc && UNESCAPED_AMPERSAND_REGEX.test(rawLoc[1])) {
+      diagnostics.push({ code: "unescaped-ampersand", loc: entry.loc });
+    }
+    onEntry(kind, entry);
+  };
+
+  const write = (chunk) => {
+    buffer += chunk;
+
+    if (!root) {
+      let rootMatch = null;
+      ROOT_START_REGEX.lastIndex = 0;
+      let prologMatch;
+      while ((prologMatch = ROOT_START_REGEX.exec(buffer)) !== null) {
+        if (prologMatch[1]) {
+          rootMatch = prologMatch;
+          break;
+        }
+      }
+      if (!rootMatch) {
+        if (buffer.length > MAX_SITEMAP_ENTRY_CHARS) throw new Error("No se encontró el elemento raíz del sitemap");
+        return;
+      }
+      const colon = rootMatch[1].indexOf(":");
+      root = {
+        name: rootMatch[1],
+        localName: colon >= 0 ? rootMatch[1].slice(colon + 1) : rootMatch[1],
+        attributes: parseXmlAttributes(rootMatch[2].replace(/\/$/, "")),
+      };
+    }
+
+    let position = 0;
+    while (true) {
+      ENTRY_START_REGEX.lastIndex = position;
+      const startMatch = ENTRY_START_REGEX.exec(buffer);
+      if (!startMatch) {
+        // Keep an unterminated comment, whose entries may only be completed by the next chunk
+        let commentStart = buffer.indexOf("<!--", position);
+        while (commentStart >= 0) {
+          const commentEnd = buffer.indexOf("-->", commentStart + 4);
+          if (commentEnd < 0) break;
+          commentStart = buffer.indexOf("<!--", commentEnd + 3);
+        }
+        if (commentStart >= 0) {
+          position = commentStart;
+          break;
+        }
+        // Keep a possibly incomplete tag at the end of the buffer for the next chunk
+        const lastTag = buffer.lastIndexOf("<");
+        position = lastTag >= position && buffer.indexOf(">", lastTag) < 0 ? lastTag : buffer.length;
+        break;
+      }
+      // Entries mentioned inside a comment are not real entries: skip the comment
+      const gapCommentStart = buffer.slice(position, startMatch.index).indexOf("<!--");
+      if (gapCommentStart >= 0) {
+        const commentStart = position + gapCommentStart;
+        const commentEnd = buffer.indexOf("-->", commentStart + 4);
+        if (commentEnd < 0) {
+          position = commentStart; // wait for the end of the comment
+          break;
+        }
+        position = commentEnd + 3;
+        continue;
+      }
+      const startEnd = startMatch.index + startMatch[0].length;
+      if (startMatch[0].endsWith("/>")) {
+        position = startEnd; // empty entry
+        continue;
+      }
+      const closeRegex = new RegExp(`</${startMatch[1].replace(/\./g, "\\.")}\\s*>`, "g");
+      closeRegex.lastIndex = startEnd;
+      const closeMatch = closeRegex.exec(buffer);
+      if (!closeMatch) {
+        position = startMatch.index; // wait for the rest of the entry
+        break;
+      }
+      const closeEnd = closeMatch.index + closeMatch[0].length;
+      emit(startMatch[3], buffer.slice(startMatch.index, closeEnd));
+      position = closeEnd;
+    }
+
+    buffer = buffer.slice(position);
+    if (buffer.length > MAX_SITEMAP_ENTRY_CHARS) {
+      throw new Error("Entrada del sitemap mal formada o demasiado grande");
+    }
+  };
+
+  const end = () => ({ root, entries, diagnostics });
+
+  // Text received but not consumed yet (what is left when write() gave up)
+  const pending = () => buffer;
+
+  return { write, end, pending };
+}
+
+/**
+ * Wrap a stream parser that collects every entry into `urls` / `sitemaps` lists. When the
+ * parser gives up on malformed input, the rest of the document is collected and read with the
+ * regex fallback instead.
+ *
+ * @returns {{write: (chunk: string) => void, finish: () => Object}} Accumulator; `finish()`
+ *   returns the parse result and throws when no entries were found.
+ */
+function createSitemapAccumulator() {
+  const urls = [];
+  const sitemaps = [];
+  const parser = createSitemapStreamParser((kind, entry) => {
+    if (kind === "url") urls.push(entry);
+    else sitemaps.push(entry);
+  });
+
+  let fallbackText = null; // unparsed rest of the document once the parser gave up
+
+  return {
+    write: (chunk) => {
+      if (fallbackText !== null) {
+        fallbackText += chunk;
+        return;
+      }
+      try {
+        parser.write(chunk);
+      } catch (_) {
+        fallbackText = parser.pending();
+      }
+    },
+    finish: () => {
+      const summary = parser.end();
+      if (fallbackText !== null) {
+        urls.push(...readSitemapBlocksWithRegex(fallbackText, "url"));
+        sitemaps.push(...readSitemapBlocksWithRegex(fallbackText, "sitemap"));
+        fallbackText = null;
+      }
+      if (urls.length === 0 && sitemaps.length === 0) {
+        // An HTML page or another XML document served at the sitemap URL is not an empty sitemap
+        const rootName = summary.root ? summary.root.localName : "";
+        if (rootName && rootName !== "urlset" && rootName !== "sitemapindex") {
+          throw createSitemapError("XML_PARSE", `El documento no es un sitemap (elemento raíz <${summary.root.name}>)`);
+        }
+        throw createSitemapError("EMPTY_SITEMAP", "No se encontraron URL válidas en el sitemap");
+      }
+      return buildParseResult(urls, sitemaps, summary.root, summary.diagnostics);
+    },
+  };
+}
+
+// Extract parsing logic into a separate function so we can parse text from any source
+/**
+ * Parse a sitemap XML string into URL entries. Uses the incremental parser, with a regex
+ * fallback over the whole document for malformed input.
+ *
+ * @param {string} text - Raw XML content.
+ * @returns {Object} Object with success flag, urls list, count, lastModified, or a failure result
+ *   (XML_PARSE / EMPTY_SITEMAP, phase "parse") as returned by sitemapFailure.
+ */
+function parseSitemapFromText(text) {
+  try {
+    const accumulator = createSitemapAccumulator();
+    accumulator.write(text);
+    return accumulator.finish();
+  } catch (error) {
+    // A document that is not a sitemap stays one; for any other failure fall back to regex
+    if (isSitemapError(error) && error.code === "XML_PARSE") return toSitemapFailure(error, "", "parse");
+  }
+
+  // Fallback: legacy regex-based parsing (works for simple sitemaps)
+  try {
+    const urls = readSitemapBlocksWithRegex(text, "url");
+    const sitemaps = readSitemapBlocksWithRegex(text, "sitemap");
+
+    if (urls.length === 0 && sitemaps.length === 0) {
+      // Same check as createSitemapAccumulator: an HTML page is not an empty sitemap
+      const rootName = readRootNameWithRegex(text);
+      const localName = rootName.split(":").pop();
+      if (rootName && localName !== "urlset" && localName !== "sitemapindex") {
+        throw createSitemapError("XML_PARSE", `El documento no es un sitemap (elemento raíz <${rootName}>)`);
+      }
+      throw createSitemapError("EMPTY_SITEMAP", "No se encontraron URL válidas en el sitemap");
+    }
+
+    return buildParseResult(urls, sitemaps, null, []);
+  } catch (error) {
+    return toSitemapFailure(error, "", "parse");
+  }
+}
+
+/**
+ * Build the result object shared by both parsing strategies.
+ * A document with <sitemap> children is reported as a sitemap index.
+ *
+ * @param {Array<Object>} urls - Parsed <url> entries.
+ * @param {Array<Object>} sitemaps - Parsed <sitemap> entries (only present in sitemap indexes).
+ * @param {Object|null} root - Document element (name and attributes) when known.
+ * @param {Array<Object>} diagnostics - Raw-source problems found while parsing.
+ * @returns {Object} Object with success flag, type, urls, sitemaps, count and lastModified.
+ */
+function buildParseResult(urls, sitemaps, root, diagnostics) {
+  return {
+    success: true,
+    type: sitemaps.length > 0 ? "sitemapindex" : "urlset",
+    urls,
+    sitemaps,
+    count: urls.length,
+    lastModified: urls.length > 0 ? urls[0].lastmod : "",
+    root,
+    diagnostics,
+  };
+}
+
+// Page-context fetch fallback using scripting.executeScript
+/**
+ * Fallback to fetch sitemap content within the page context (bypassing CORS in background).
+ *
+ * @param {string} sitemapUrl - Absolute URL to fetch.
+ * @param {number} tabId - Tab ID used for `scripting.executeScript` target.
+ * @returns {Promise<Object>} Result object with success flag and text, or a failure result
+ *   as returned by sitemapFailure (phase "page-fetch").
+ */
+async function pageFetchSitemap(sitemapUrl, tabId) {
+  if (!tabId) {
+    return sitemapFailure("PAGE_CONTEXT_UNAVAILABLE", "No hay ninguna pestaña del sitio para leer el sitemap desde la página", {
+      url: sitemapUrl,
+      phase: "page-fetch",
+    });
+  }
+
+  const maxBytes = await getSitemapByteLimit(sitemapUrl);
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: async (url, maxBytes) => {
+        try {
+          const resp = await fetch(url);
+          if (!resp.ok) return { success: false, error: `HTTP ${resp.status}`, status: resp.status };
+          const buffer = await resp.arrayBuffer();
+          if (buffer.byteLength > maxBytes) {
+            return { success: false, error: "Sitemap demasiado grande", code: "SIZE_LIMIT" };
+          }
+          const bytes = new Uint8Array(buffer);
+          // Gzip magic bytes: decompress in the page (results must be serializable text)
+          if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+            const reader = stream.getReader();
+            const chunks = [];
+            let total = 0;
+            while (true) {
+              const { done, value } = await reader.read();
+              if (done) break;
+              total += value.byteLength;
+              if (total > maxBytes) {
+                await reader.cancel();
+                return { success: false, error: "Sitemap descomprimido demasiado grande", code: "SIZE_LIMIT" };
+              }
+              chunks.push(value);
+            }
+            const text = await new Blob(chunks).text();
+            return { success: true, text };
+          }
+          const text = new TextDecoder("utf-8").decode(bytes);
+          return { success: true, text };
+        } catch (e) {
+          return {
+            success: false,
+            error: e && e.message ? e.message : String(e),
+            name: e && e.name,
+          };
+        }
+      },
+      args: [sitemapUrl, maxBytes],
+    });
+
+    if (!results || results.length === 0 || !results[0].result) {
+      return sitemapFailure("PAGE_CONTEXT_UNAVAILABLE", "La página no devolvió ningún resultado", {
+        url: sitemapUrl,
+        phase: "page-fetch",
+      });
+    }
+
+    const result = results[0].result;
+    if (result.success) return result;
+    if (result.status) {
+      return sitemapFailure(getHttpErrorCode(result.status), result.error, {
+        status: result.status,
+        url: sitemapUrl,
+        phase: "page-fetch",
+      });
+    }
+    const error = Object.assign(new Error(result.error), { name: result.name || "Error" });
+    if (result.code) Object.assign(error, { code: result.code, limitMb: toMegabytes(maxBytes) });
+    return toSitemapFailure(error, sitemapUrl, "page-fetch");
+  } catch (error) {
+    // Restricted pages (chrome://, the Web Store...) or a closed tab
+    return sitemapFailure("PAGE_CONTEXT_UNAVAILABLE", error.message, { url: sitemapUrl, phase: "page-fetch" });
+  }
+}
+
+/**
+ * Download and parse a sitemap from the page context.
+ *
+ * @param {string} sitemapUrl - Absolute sitemap URL.
+ * @param {number} tabId - Tab ID used for the page-context fetch.
+ * @returns {Promise<Object>} Parse result, or a failure result with phase "page-fetch" or "parse".
+ */
+async function fetchSitemapFromPage(sitemapUrl, tabId) {
+  const pageFetchResult = await pageFetchSitemap(sitemapUrl, tabId);
+  if (!pageFetchResult.success) return pageFetchResult;
+
+  const sitemapData = parseSitemapFromText(pageFetchResult.text || "");
+  if (sitemapData.success) {
+    await recordSitemapSnapshot(sitemapUrl, sitemapData);
+  } else {
+    sitemapData.errorDetails.url = sitemapUrl;
+  }
+  return sitemapData;
+}
+
+/**
+ * Relabel a direct fetch that got no response as CORS_BLOCKED when the page context did reach
+ * the server: the connection works, so the browser refused the extension's request.
+ *
+ * @param {Object} direct - Failure result of parseSitemap.
+ * @param {Object} page - Result of fetchSitemapFromPage for the same URL.
+ * @returns {Object} The direct result, relabelled when it was blocked.
+ */
+function markCorsBlocked(direct, page) {
+  if (direct.errorCode !== "NETWORK" || direct.errorDetails.phase !== "fetch") return direct;
+  const pageReachedServer =
+    page.success || !["NETWORK", "TIMEOUT", "PAGE_CONTEXT_UNAVAILABLE", "UNKNOWN"].includes(page.errorCode);
+  if (!pageReachedServer) return direct;
+  return {
+    ...direct,
+    error: "La descarga desde la extensión fue bloqueada (CORS), aunque la página sí llega al servidor",
+    errorCode: "CORS_BLOCKED",
+  };
+}
+
+/**
+ * Fetch and parse a single sitemap document, retrying from the page context when the
+ * direct fetch fails (likely CORS). With `pageContextFirst` the page context is tried first
+ * and the direct fetch becomes the fallback.
+ *
+ * Failures report the fallbacks that were tried in `errorDetails.attemptedFallbacks`
+ * ("page-context" or "direct"). When the fallback could not download the sitemap either, the
+ * first error is returned with the fallback's one in `errorDetails.fallbackError`. A direct
+ * fetch without response is only reported as CORS_BLOCKED when the page context got further.
+ *
+ * @param {string} sitemapUrl - Absolute sitemap URL.
+ * @param {number} tabId - Tab ID used for the page-context fallback (optional).
+ * @param {{forceRefresh?: boolean, pageContextFirst?: boolean}} [options] - Cache options
+ *   forwarded to parseSitemap, and the order of the attempts.
+ * @returns {Promise<Object>} Parse result as returned by parseSitemapFromText.
+ */
+async function fetchSitemapDocument(sitemapUrl, tabId, options = {}) {
+  const pageFirst = !!(options.pageContextFirst && tabId);
+  let first = pageFirst
+    ? await fetchSitemapFromPage(sitemapUrl, tabId)
+    : await parseSitemap(sitemapUrl, options);
+  if (first.success || !tabId) return first;
+
+  let fallback = pageFirst
+    ? await parseSitemap(sitemapUrl, options)
+    : await fetchSitemapFromPage(sitemapUrl, tabId);
+  if (fallback.success) return fallback;
+  if (pageFirst) fallback = markCorsBlocked(fallback, first);
+  else first = markCorsBlocked(first, fallback);
+
+  const attemptedFallbacks = [pageFirst ? "direct" : "page-context"];
+  // A body that downloaded but did not parse says more than the download error
+  if (fallback.errorDetails.phase === "parse" && first.errorDetails.phase !== "parse") {
+    return { ...fallback, errorDetails: { ...fallback.errorDetails, attemptedFallbacks } };
+  }
+  return {
+    ...first,
+    errorDetails: {
+      ...first.errorDetails,
+      attemptedFallbacks,
+      fallbackError: { code: fallback.errorCode, message: fallback.error },
+    },
+  };
+}
+
+/**
+ * Run an async worker over a list of items with at most `limit` workers in flight.
+ * Results keep the order of the input items.
+ *
+ * @param {Array<any>} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent workers.
+ * @param {(item: any, index: number) => Promise<any>} worker - Async worker.
+ * @returns {Promise<Array<any>>} Worker results in input order.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = [];
+  const runnerCount = Math.max(1, Math.min(limit, items.length));
+  for (let i = 0; i < runnerCount; i++) {
+    runners.push(
+      (async () => {
+        while (next < items.length) {
+          const index = next++;
+          results[index] = await worker(items[index], index);
+        }
+      })()
+    );
+  }
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Resolve one or more root sitemaps into the full list of page entries. Sitemap indexes are
+ * followed recursively (bounded by MAX_SITEMAP_INDEX_DEPTH), child sitemaps are fetched with
+ * MAX_CONCURRENT_SITEMAP_FETCHES in parallel, and already visited sitemaps are skipped to
+ * avoid loops. Every entry is tagged with the `source` sitemap it was read from.
+ *
+ * @param {Array<{url: string, discovery: string}>} roots - Root sitemaps as returned by discoverSitemaps.
+ * @param {number} tabId - Tab ID used for the page-context fallback (optional).
+ * @param {{forceRefresh?: boolean}} [options] - Cache options forwarded to parseSitemap.
+ * @returns {Promise<Object>} Result with success flag, merged urls, count, lastModified,
+ *   the processed root and child sitemaps, the oldest cache timestamp, and/or error.
+ */
+async function resolveSitemapTree(roots, tabId, options) {
+  const visited = new Set(roots.map((root) => root.url));
+  const rootRecords = []; // root sitemaps with their discovery method
+  const documents = []; // every child sitemap document processed
+  let level = roots.map((root) => ({ loc: root.url, depth: 0, parent: null, discovery: root.discovery }));
+  const urlsByLevel = [];
+
+  while (level.length > 0) {
+    const parsedLevel = await mapWithConcurrency(
+      level,
+      MAX_CONCURRENT_SITEMAP_FETCHES,
+      async (item) => ({ item, data: await fetchSitemapDocument(item.loc, tabId, options) })
+    );
+
+    const nextLevel = [];
+    const levelUrls = [];
+    for (const { item, data } of parsedLevel) {
+      const isRoot = item.parent === null;
+      const record = {
+        loc: item.loc,
+        parent: item.parent,
+        depth: item.depth,
+        type: data.success ? data.type : "",
+        count: data.success ? data.count : 0,
+        sitemapCount: data.success ? data.sitemaps.length : 0,
+        error: data.success ? "" : data.error,
+        errorCode: data.success ? "" : data.errorCode || "UNKNOWN",
+        errorDetails: data.success ? null : data.errorDetails || null,
+        root: data.success ? data.root : null,
+        diagnostics: data.success ? data.diagnostics : [],
+        fetchedAt: data.success ? data.fetchedAt || Date.now() : 0,
+      };
+      if (isRoot) rootRecords.push({ ...record, discovery: item.discovery });
+      else documents.push(record);
+      if (!data.success) continue;
+
+      for (const entry of data.urls) {
+        levelUrls.push({ ...entry, source: item.loc });
+      }
+
+      if (data.type !== "sitemapindex") continue;
+      if (item.depth >= MAX_SITEMAP_INDEX_DEPTH) {
+        record.error = `Profundidad máxima de índices alcanzada (${MAX_SITEMAP_INDEX_DEPTH})`;
+        continue;
+      }
+      for (const child of data.sitemaps) {
+        let childUrl;
+        try {
+          childUrl = new URL(child.loc, item.loc).href;
+        } catch (_) {
+          continue; // skip invalid child URL
+        }
+        if (visited.has(childUrl)) continue; // loop or duplicate reference
+        visited.add(childUrl);
+        nextLevel.push({ loc: childUrl, depth: item.depth + 1, parent: item.loc });
+      }
+    }
+
+    urlsByLevel.push(levelUrls);
+    level = nextLevel;
+  }
+
+  const failedRoots = rootRecords.filter((root) => root.error);
+  if (failedRoots.length === rootRecords.length) {
+    if (failedRoots.length === 0) return sitemapFailure("NO_SITEMAP", "No se encontró un sitemap", { phase: "discovery" });
+    return sitemapFailure(failedRoots[0].errorCode, failedRoots[0].error, {
+      ...failedRoots[0].errorDetails,
+      url: failedRoots[0].loc,
+    });
+  }
+
+  const urls = urlsByLevel.flat();
+  if (urls.length === 0) {
+    const failedDocs = documents.filter((doc) => doc.error);
+    if (failedDocs.length > 0) {
+      // Every child of the index failed: report the first child's error
+      return sitemapFailure(
+        failedDocs[0].errorCode || "UNKNOWN",
+        `No se pudo leer ninguno de los ${failedDocs.length} sitemaps del índice (${failedDocs[0].error})`,
+        { ...failedDocs[0].errorDetails, url: failedDocs[0].loc, phase: "index" }
+      );
+    }
+    return sitemapFailure("EMPTY_SITEMAP", "No se encontraron URL válidas en el sitemap", {
+      url: rootRecords[0].loc,
+      phase: "index",
+    });
+  }
+
+  return {
+    success: true,
+    urls,
+    count: urls.length,
+    lastModified: urls[0].lastmod,
+    roots: rootRecords,
+    sitemaps: documents,
+    failedSitemaps: documents.filter((doc) => doc.error).length + failedRoots.length,
+    cachedAt: Math.min(...[...rootRecords, ...documents].filter((doc) => doc.fetchedAt).map((doc) => doc.fetchedAt)),
+  };
+}
+
+// --- URL matching profiles ---
+// Default rules reproduce the historical behavior: drop every query parameter and the
+// trailing slash, exact scheme/host, case-sensitive, no percent-decoding.
+const DEFAULT_MATCH_PROFILE = {
+  keepParams: [], // query parameters that identify distinct pages (e.g. "page", "lang")
+  trailingSlash: "ignore", // "ignore" | "strict"
+  hostAliases: [], // other hostnames serving the same site (e.g. "www.example.com")
+  ignoreScheme: false, // treat http and https as the same URL
+  caseInsensitive: false, // fold the path to lower case
+  decode: false, // compare percent-decoded paths
+};
+const MATCH_PROFILES_STORAGE_KEY = "matchProfiles";
+
+/** @type {Object<string, Object>} */
+let matchProfiles = {}; // hostname -> stored profile
+const matchProfilesReady = loadMatchProfiles();
+
+/**
+ * Load the per-domain matching profiles from extension storage into memory.
+ *
+ * @returns {Promise<void>}
+ */
+async function loadMatchProfiles() {
+  try {
+    const stored = await chrome.storage.local.get(MATCH_PROFILES_STORAGE_KEY);
+    matchProfiles = stored[MATCH_PROFILES_STORAGE_KEY] || {};
+  } catch (_) {
+    matchProfiles = {};
+  }
+}
+
+/**
+ * Get the matching profile that applies to a hostname, either stored under that hostname
+ * or under a site that lists it as an alias. Always returns a complete profile.
+ *
+ * @param {string} hostname - Hostname of the URL being matched.
+ * @returns {Object} Profile with every DEFAULT_MATCH_PROFILE field plus `host` (its storage key).
+ */
+function getMatchProfile(hostname) {
+  const host = String(hostname || "").toLowerCase();
+  let key = host;
+  if (!matchProfiles[key]) {
+    key =
+      Object.keys(matchProfiles).find((candidate) =>
+        (matchProfiles[candidate].hostAliases || []).includes(host)
+      ) || host;
+  }
+  return { ...DEFAULT_MATCH_PROFILE, ...(matchProfiles[key] || {}), host: key };
+}
+
+/**
+ * Normalize a URL into the comparison key defined by a matching profile.
+ *
+ * @param {string} url - URL to normalize.
+ * @param {Object} profile - Profile returned by getMatchProfile.
+ * @returns {string} Comparison key, or "" when the URL cannot be parsed.
+ */
+function normalizeUrlForMatch(url, profile) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (_) {
+    return "";
+  }
+
+  let host = urlObj.hostname;
+  if (host === profile.host || profile.hostAliases.includes(host)) host = profile.host;
+  const scheme = profile.ignoreScheme ? "" : urlObj.protocol;
+
+  let path = urlObj.pathname;
+  if (profile.decode) {
+    try {
+      path = decodeURI(path);
+    } catch (_) {
+      // keep encoded path when it contains malformed sequences
+    }
+  }
+  if (profile.caseInsensitive) path = path.toLowerCase();
+  if (profile.trailingSlash !== "strict" && path.length > 1) path = path.replace(/\/+$/, "");
+
+  const kept = [];
+  for (const [name, value] of urlObj.searchParams) {
+    if (profile.keepParams.includes(name)) kept.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+  }
+  kept.sort();
+  const query = kept.length > 0 ? `?${kept.join("&")}` : "";
+
+  return `${scheme}//${host}${urlObj.port ? `:${urlObj.port}` : ""}${path}${query}`;
+}
+
+/**
+ * Index of a resolved sitemap keyed by normalized URL, built once per sitemap data and
+ * matching profile so repeated lookups (current tab, link classification) are O(1).
+ *
+ * @param {Object} sitemapData - Successful result of resolveSitemapTree.
+ * @param {Object} profile - Matching profile used to normalize the keys.
+ * @returns {Map<string, Object>} Normalized URL -> sitemap entry.
+ */
+function getSitemapLookup(sitemapData, profile) {
+  const profileKey = JSON.stringify(profile);
+  const cached = sitemapData.lookup;
+  if (cached && cached.profileKey === profileKey) return cached.keys;
+
+  const keys = new Map();
+  for (const item of sitemapData.urls) {
+    const key = normalizeUrlForMatch(item.loc, profile);
+    if (key && !keys.has(key)) keys.set(key, item);
+  }
+  // Non-enumerable so the index never ends up in messages sent to the popup
+  Object.defineProperty(sitemapData, "lookup", {
+    value: { profileKey, keys },
+    configurable: true,
+    writable: true,
+    enumerable: false,
+  });
+  return keys;
+}
+
+/**
+ * Determine whether a given URL exists within the sitemap URLs, using the matching profile
+ * of the URL's host.
+ *
+ * @param {string} currentUrl - The URL to check.
+ * @param {Object} sitemapData - Successful result of resolveSitemapTree.
+ * @param {Object} [profile] - Matching profile (defaults to the one stored for the URL's host).
+ * @returns {Object|null} Matching entry or null.
+ */
+function isUrlInSitemap(currentUrl, sitemapData, profile) {
+  let matchProfile = profile;
+  if (!matchProfile) {
+    try {
+      matchProfile = getMatchProfile(new URL(currentUrl).hostname);
+    } catch (_) {
+      return null;
+    }
+  }
+  const currentKey = normalizeUrlForMatch(currentUrl, matchProfile);
+  if (!currentKey) return null;
+
+  return getSitemapLookup(sitemapData, matchProfile).get(currentKey) || null;
+}
+
+// --- Draft sitemaps ---
+// A draft replaces the published sitemaps of an origin until it is removed, so a new sitemap
+// can be tested against the live site before it is deployed.
+
+const draftSitemaps = new Map(); // origin -> Promise of the draft's sitemap data (or null)
+
+/**
+ * Draft sitemap of an origin, read from storage once per worker lifetime.
+ *
+ * @param {string} origin - Site origin.
+ * @returns {Promise<Object|null>} Sitemap data shaped like resolveSitemapTree's result, or null.
+ */
+function getDraftSitemap(origin) {
+  if (!origin) return Promise.resolve(null);
+  if (!draftSitemaps.has(origin)) {
+    draftSitemaps.set(origin, idbGet(DRAFT_STORE, origin).then((record) => (record ? record.data : null)));
+  }
+  return draftSitemaps.get(origin);
+}
+
+/**
+ * Parse draft sitemap files and make them the sitemaps of an origin. A sitemap index is not
+ * followed: its child files have to be loaded along with it.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @param {Array<{name: string, text: string}>} files - Local files or pasted XML.
+ * @returns {Promise<{files: Array<Object>, count: number, loadedAt: number}>} The draft's summary.
+ * @throws {Error} When a file cannot be parsed or no file contains URL entries.
+ */
+async function setDraftSitemap(pageUrl, files) {
+  const origin = getSiteOrigin(pageUrl);
+  if (!origin) throw new Error("URL no válida");
+  if (!Array.isArray(files) || files.length === 0) throw new Error("No se recibió ningún sitemap");
+
+  const loadedAt = Date.now();
+  const roots = [];
+  const urls = [];
+  for (const file of files) {
+    const parsed = parseSitemapFromText(String(file.text || ""));
+    if (!parsed.success) throw new Error(`${file.name}: ${parsed.error}`);
+    roots.push({
+      loc: file.name,
+      parent: null,
+      depth: 0,
+      type: parsed.type,
+      count: parsed.count,
+      sitemapCount: parsed.sitemaps.length,
+      error: "",
+      root: parsed.root,
+      diagnostics: parsed.diagnostics,
+      fetchedAt: loadedAt,
+      discovery: "draft",
+    });
+    for (const entry of parsed.urls) urls.push({ ...entry, source: file.name });
+  }
+  if (urls.length === 0) {
+    throw new Error("El borrador no contiene URLs; si es un índice, carga también sus sitemaps");
+  }
+
+  const draft = { files: roots.map(({ loc, type, count }) => ({ name: loc, type, count })), count: urls.length, loadedAt };
+  const data = {
+    success: true,
+    urls,
+    count: urls.length,
+    lastModified: urls[0].lastmod,
+    roots,
+    sitemaps: [],
+    failedSitemaps: 0,
+    cachedAt: loadedAt,
+    draft,
+  };
+  await idbRequest(DRAFT_STORE, "readwrite", (store) => store.put({ origin, data }));
+  draftSitemaps.set(origin, Promise.resolve(data));
+  await recheckSiteTabs(origin);
+  return draft;
+}
+
+/**
+ * Remove the draft sitemap of an origin; its published sitemaps apply again.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @returns {Promise<void>}
+ */
+async function clearDraftSitemap(pageUrl) {
+  const origin = getSiteOrigin(pageUrl);
+  if (!origin) return;
+  await idbRequest(DRAFT_STORE, "readwrite", (store) => store.delete(origin));
+  draftSitemaps.set(origin, Promise.resolve(null));
+  await recheckSiteTabs(origin);
+}
+
+/**
+ * Check again the open tabs of a site (e.g. after its draft changed) so their badges and
+ * highlighted links follow.
+ *
+ * @param {string} origin - Site origin.
+ * @returns {Promise<void>}
+ */
+async function recheckSiteTabs(origin) {
+  try {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      if (tab.id == null || !tab.url || getSiteOrigin(tab.url) !== origin) continue;
+      lastProcessedUrlByTab.delete(tab.id);
+      checkTabAndUpdate(tab.id, tab.url);
+      chrome.tabs.sendMessage(tab.id, { action: "recheckLinks" }).catch(() => {});
+    }
+  } catch (_) {
+    // ignore tabs that cannot be queried
+  }
+}
+
+/**
+ * Find an open tab of the site a page belongs to, to fetch its sitemaps from the page context.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @returns {Promise<number|null>} Tab ID, or null when no tab of the site is open.
+ */
+async function findSiteTabId(pageUrl) {
+  const origin = getSiteOrigin(pageUrl);
+  try {
+    const tabs = await chrome.tabs.query({});
+    const tab = tabs.find((candidate) => candidate.id != null && candidate.url && getSiteOrigin(candidate.url) === origin);
+    return tab ? tab.id : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Discover and resolve every sitemap of the site a page belongs to. Resolved sites are kept
+ * in memory for SITEMAP_CACHE_TTL_MS and concurrent calls for the same host share one load.
+ * A draft sitemap set for the page's origin is returned instead, unless `ignoreDraft` is set.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @param {number} tabId - Tab ID used for the page-context fallback (optional).
+ * @param {{forceRefresh?: boolean, ignoreDraft?: boolean, pageContextFirst?: boolean}} [options] -
+ *   Cache options forwarded to parseSitemap; `ignoreDraft` always reads the published sitemaps;
+ *   `pageContextFirst` downloads from the page first (from any open tab of the site when no
+ *   tabId is given).
+ * @returns {Promise<Object>} Result of resolveSitemapTree (with `draft` when it is a draft); on
+ *   failure `errorCode` says why (NO_SITEMAP, also flagged with `noSitemap`, for a site without
+ *   sitemap).
+ */
+async function loadSiteSitemaps(pageUrl, tabId, options = {}) {
+  const hostname = new URL(pageUrl).hostname;
+  if (options.pageContextFirst && !tabId) tabId = await findSiteTabId(pageUrl);
+
+  if (!options.ignoreDraft) {
+    const draft = await getDraftSitemap(getSiteOrigin(pageUrl));
+    if (draft) return draft;
+  }
+
+  const cached = siteSitemapCache.get(hostname);
+  if (cached && !options.forceRefresh && Date.now() - cached.loadedAt < SITEMAP_CACHE_TTL_MS) {
+    return cached.data;
+  }
+
+  const inflight = inflightSiteLoads.get(hostname);
+  if (inflight && !options.forceRefresh) return inflight;
+
+  const pending = (async () => {
+    const roots = await discoverSitemaps(hostname);
+
+    if (roots.length === 0) {
+      return {
+        ...sitemapFailure("NO_SITEMAP", "No se encontró un sitemap en este sitio", {
+          url: `https://${hostname}/robots.txt`,
+          phase: "discovery",
+        }),
+        noSitemap: true,
+      };
+    }
+
+    // Follows sitemap indexes; each document falls back to a page-context fetch on failure
+    return resolveSitemapTree(roots, tabId, options);
+  })();
+  inflightSiteLoads.set(hostname, pending);
+
+  try {
+    const data = await pending;
+    if (data.success) {
+      siteSitemapCache.delete(hostname);
+      siteSitemapCache.set(hostname, { data, loadedAt: Date.now() });
+      if (siteSitemapCache.size > MAX_SITE_CACHE_ENTRIES) {
+        siteSitemapCache.delete(siteSitemapCache.keys().next().value);
+      }
+    }
+    return data;
+  } finally {
+    if (inflightSiteLoads.get(hostname) === pending) inflightSiteLoads.delete(hostname);
+  }
+}
+
+/**
+ * Every URL entry of the site's sitemaps, trimmed to what the popup's sitemap browser shows.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @param {number} tabId - Tab ID used for the page-context fallback (optional).
+ * @returns {Promise<Array<{loc: string, lastmod: string, source: string}>>} Entries in sitemap order.
+ * @throws {Error} When the site's sitemaps cannot be loaded.
+ */
+async function getSitemapEntries(pageUrl, tabId) {
+  const sitemapData = await loadSiteSitemaps(pageUrl, tabId);
+  if (!sitemapData.success) throw new Error(sitemapData.error);
+  return sitemapData.urls.map((item) => ({ loc: item.loc, lastmod: item.lastmod || "", source: item.source || "" }));
+}
+
+/**
+ * List the stored snapshots of every sitemap of the site a page belongs to.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @param {number} tabId - Tab ID used for the page-context fallback (optional).
+ * @returns {Promise<Array<{url: string, snapshots: Array<Object>}>>} Sitemaps with at least one
+ *   snapshot; snapshots ({id, url, takenAt, hash, type, count}) are newest first.
+ */
+async function getSitemapSnapshots(pageUrl, tabId) {
+  const sitemapData = await loadSiteSitemaps(pageUrl, tabId);
+  if (!sitemapData.success) throw new Error(sitemapData.error);
+
+  const urls = [...sitemapData.roots, ...sitemapData.sitemaps].map((doc) => doc.loc);
+  const result = [];
+  for (const url of new Set(urls)) {
+    let snapshots = [];
+    try {
+      snapshots = await idbRequest(SNAPSHOT_STORE, "readonly", (store) => store.index("url").getAll(url));
+    } catch (_) {
+      // no history when storage is unavailable
+    }
+    if (snapshots.length > 0) result.push({ url, snapshots: snapshots.reverse() });
+  }
+  return result;
+}
+
+/**
+ * Compare two snapshots: URLs added, removed, and URLs whose lastmod changed.
+ *
+ * @param {number} fromId - Older snapshot id.
+ * @param {number} toId - Newer snapshot id.
+ * @returns {Promise<Object>} {from, to, added: [{loc, lastmod}], removed: [{loc, lastmod}],
+ *   lastmodChanged: [{loc, before, after}], counts: {added, removed, lastmodChanged}}.
+ * @throws {Error} When a snapshot is no longer stored.
+ */
+async function diffSitemapSnapshots(fromId, toId) {
+  const [from, to, fromEntries, toEntries] = await Promise.all([
+    idbGet(SNAPSHOT_STORE, fromId),
+    idbGet(SNAPSHOT_STORE, toId),
+    idbGet(SNAPSHOT_ENTRIES_STORE, fromId),
+    idbGet(SNAPSHOT_ENTRIES_STORE, toId),
+  ]);
+  if (!from || !to || !fromEntries || !toEntries) throw new Error("Snapshot no encontrado");
+
+  const before = new Map(fromEntries.entries.map((entry) => [entry.loc, entry.lastmod]));
+  const after = new Map(toEntries.entries.map((entry) => [entry.loc, entry.lastmod]));
+  const added = [];
+  const removed = [];
+  const lastmodChanged = [];
+  for (const [loc, lastmod] of after) {
+    if (!before.has(loc)) {
+      added.push({ loc, lastmod });
+    } else if (before.get(loc) !== lastmod) {
+      lastmodChanged.push({ loc, before: before.get(loc), after: lastmod });
+    }
+  }
+  for (const [loc, lastmod] of before) {
+    if (!after.has(loc)) removed.push({ loc, lastmod });
+  }
+
+  return {
+    from,
+    to,
+    added,
+    removed,
+    lastmodChanged,
+    counts: { added: added.length, removed: removed.length, lastmodChanged: lastmodChanged.length },
+  };
+}
+
+/**
+ * Canonical string form of a URL for hreflang comparisons (hreflang hrefs must match the
+ * alternate's <loc> exactly, so only syntactic normalization is applied).
+ *
+ * @param {string} url - URL to normalize.
+ * @returns {string} Normalized URL, or the trimmed input when it cannot be parsed.
+ */
+function normalizeHreflangUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch (_) {
+    return String(url || "").trim();
+  }
+}
+
+/**
+ * Check that hreflang alternates are reciprocal across the parsed sitemap: every alternate
+ * of an entry must itself be listed and must link back to that entry.
+ *
+ * @param {Array<Object>} entries - Parsed sitemap entries.
+ * @returns {Array<{from: string, to: string, hreflang: string, problem: string}>} Issues where
+ *   `problem` is "missing" (alternate not in the sitemap) or "not-reciprocal" (no link back).
+ */
+function findHreflangIssues(entries) {
+  const alternatesByLoc = new Map();
+  for (const entry of entries) {
+    if (!entry.alternates) continue;
+    alternatesByLoc.set(
+      normalizeHreflangUrl(entry.loc),
+      new Set(entry.alternates.map((alternate) => normalizeHreflangUrl(alternate.href)))
+    );
+  }
+  if (alternatesByLoc.size === 0) return [];
+
+  const listed = new Set(entries.map((entry) => normalizeHreflangUrl(entry.loc)));
+  const issues = [];
+  for (const entry of entries) {
+    if (!entry.alternates) continue;
+    const from = normalizeHreflangUrl(entry.loc);
+    for (const alternate of entry.alternates) {
+      const to = normalizeHreflangUrl(alternate.href);
+      if (to === from) continue; // self-reference
+      if (!listed.has(to)) {
+        issues.push({ from: entry.loc, to: alternate.href, hreflang: alternate.hreflang, problem: "missing" });
+      } else if (!(alternatesByLoc.get(to) || new Set()).has(from)) {
+        issues.push({ from: entry.loc, to: alternate.href, hreflang: alternate.hreflang, problem: "not-reciprocal" });
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Hreflang reciprocity issues of a resolved sitemap, computed once per sitemap data.
+ *
+ * @param {Object} sitemapData - Successful result of resolveSitemapTree.
+ * @returns {Array<Object>} Issues as returned by findHreflangIssues.
+ */
+function getHreflangIssues(sitemapData) {
+  if (!sitemapData.hreflangIssues) {
+    Object.defineProperty(sitemapData, "hreflangIssues", {
+      value: findHreflangIssues(sitemapData.urls),
+      configurable: true,
+      enumerable: false,
+    });
+  }
+  return sitemapData.hreflangIssues;
+}
+
+// sitemaps.org protocol rules used by the validation report
+const SITEMAP_NAMESPACE = "http://www.sitemaps.org/schemas/sitemap/0.9";
+const MAX_URLS_PER_SITEMAP = 50000;
+const VALID_CHANGEFREQ = ["always", "hourly", "daily", "weekly", "monthly", "yearly", "never"];
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD, or date + Thh:mm[:ss[.s]]TZD
+const W3C_DATETIME_REGEX =
+  /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+
+/**
+ * Check a resolved sitemap tree against the sitemaps.org protocol rules.
+ *
+ * @param {Object} sitemapData - Successful result of resolveSitemapTree.
+ * @returns {{generatedAt: string, sitemapCount: number, urlCount: number,
+ *   counts: {error: number, warning: number, info: number},
+ *   findings: Array<{severity: string, code: string, message: string, sitemap: string, loc: string}>}} Report.
+ */
+function validateSitemapTree(sitemapData) {
+  const findings = [];
+  const addFinding = (severity, code, message, sitemap, loc) => {
+    findings.push({ severity, code, message, sitemap: sitemap || "", loc: loc || "" });
+  };
+
+  // Document-level rules
+  const documents = [...(sitemapData.roots || []), ...(sitemapData.sitemaps || [])];
+  for (const doc of documents) {
+    if (doc.error) {
+      addFinding("error", "fetch-failed", `No se pudo leer el sitemap: ${doc.error}`, doc.loc);
+      continue;
+    }
+    if (doc.count > MAX_URLS_PER_SITEMAP) {
+      addFinding(
+        "error",
+        "too-many-urls",
+        `El archivo contiene ${doc.count} URLs (máximo ${MAX_URLS_PER_SITEMAP})`,
+        doc.loc
+      );
+    }
+    // The same limit applies to the <sitemap> entries of an index
+    if (doc.sitemapCount > MAX_URLS_PER_SITEMAP) {
+      addFinding(
+        "error",
+        "too-many-sitemaps",
+        `El índice contiene ${doc.sitemapCount} sitemaps (máximo ${MAX_URLS_PER_SITEMAP})`,
+        doc.loc
+      );
+    }
+    if (!doc.root) {
+      addFinding("warning", "malformed-xml", "El XML no está bien formado; se leyó con el analizador de respaldo", doc.loc);
+    } else {
+      const colon = doc.root.name.indexOf(":");
+      const namespaceAttribute = colon >= 0 ? `xmlns:${doc.root.name.slice(0, colon)}` : "xmlns";
+      if (doc.root.attributes[namespaceAttribute] !== SITEMAP_NAMESPACE) {
+        addFinding(
+          "error",
+          "missing-namespace",
+          `<${doc.root.name}> no declara el namespace ${SITEMAP_NAMESPACE}`,
+          doc.loc
+        );
+      }
+    }
+    for (const diagnostic of doc.diagnostics || []) {
+      if (diagnostic.code === "unescaped-ampersand") {
+        addFinding("error", "unescaped-ampersand", "El <loc> contiene un & sin escapar (&amp;)", doc.loc, diagnostic.loc);
+      }
+    }
+  }
+
+  // Entry-level rules
+  const seen = new Map(); // loc -> first source
+  const missingLastmod = new Map(); // source -> count
+  for (const entry of sitemapData.urls) {
+    const source = entry.source;
+    let locUrl = null;
+    try {
+      locUrl = new URL(entry.loc);
+    } catch (_) {
+      addFinding("error", "relative-loc", "El <loc> no es una URL absoluta", source, entry.loc);
+    }
+    if (locUrl) {
+      if (!/^https?:$/.test(locUrl.protocol)) {
+        addFinding("error", "invalid-loc-scheme", `Esquema no permitido en <loc> (${locUrl.protocol})`, source, entry.loc);
+      }
+      try {
+        const sourceHost = new URL(source).host;
+        if (locUrl.host !== sourceHost) {
+          addFinding("warning", "cross-host-loc", `El <loc> pertenece a otro host que el sitemap (${sourceHost})`, source, entry.loc);
+        }
+      } catch (_) {
+        // source without a valid URL (e.g. a pasted sitemap): host check not applicable
+      }
+    }
+
+    if (!entry.lastmod) {
+      missingLastmod.set(source, (missingLastmod.get(source) || 0) + 1);
+    } else if (!W3C_DATETIME_REGEX.test(entry.lastmod)) {
+      addFinding("error", "invalid-lastmod", `<lastmod> no es W3C Datetime: "${entry.lastmod}"`, source, entry.loc);
+    }
+
+    if (entry.priority !== undefined) {
+      const priority = Number(entry.priority);
+      if (entry.priority === "" || isNaN(priority) || priority < 0 || priority > 1) {
+        addFinding("error", "invalid-priority", `<priority> fuera de 0.0–1.0: "${entry.priority}"`, source, entry.loc);
+      }
+    }
+
+    if (entry.changefreq !== undefined && !VALID_CHANGEFREQ.includes(entry.changefreq)) {
+      addFinding("error", "invalid-changefreq", `<changefreq> desconocido: "${entry.changefreq}"`, source, entry.loc);
+    }
+
+    const firstSource = seen.get(entry.loc);
+    if (firstSource !== undefined) {
+      addFinding(
+        "warning",
+        "duplicate-url",
+        firstSource === source ? "URL duplicada en el mismo sitemap" : `URL duplicada (también en ${firstSource})`,
+        source,
+        entry.loc
+      );
+    } else {
+      seen.set(entry.loc, source);
+    }
+  }
+
+  for (const [source, count] of missingLastmod) {
+    addFinding("info", "missing-lastmod", `${count} URLs sin <lastmod>`, source);
+  }
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const finding of findings) counts[finding.severity]++;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    sitemapCount: documents.length,
+    urlCount: sitemapData.urls.length,
+    counts,
+    findings,
+  };
+}
+
+// --- Page indexability signals ---
+// X-Robots-Tag headers of the last main-frame response of each tab (tabId -> {url, values})
+const xRobotsTagByTab = new Map();
+
+/**
+ * Whether robots directives (meta robots content or X-Robots-Tag values) forbid indexing.
+ * Directives may be scoped to a crawler ("googlebot: noindex"); any scope counts.
+ *
+ * @param {Array<string>} values - Directive strings.
+ * @returns {boolean} True when a "noindex" or "none" directive is present.
+ */
+function hasNoindexDirective(values) {
+  return values.some((value) =>
+    String(value)
+      .split(",")
+      .some((token) => /^(?:[\w-]+\s*:\s*)?(noindex|none)$/i.test(token.trim()))
+  );
+}
+
+/**
+ * Read the meta robots directives and the canonical link of the page loaded in a tab.
+ *
+ * @param {number} tabId - Tab to inspect.
+ * @returns {Promise<{pageUrl: string, metaRobots: Array<string>, canonical: string}|null>}
+ *   Signals, or null when the page cannot be scripted.
+ */
+async function readPageIndexSignals(tabId) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        const metaRobots = Array.from(
+          document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'),
+          (meta) => meta.getAttribute("content") || ""
+        );
+        const canonicalLink = document.querySelector('link[rel~="canonical" i][href]');
+        return { pageUrl: location.href, metaRobots, canonical: canonicalLink ? canonicalLink.href : "" };
+      },
+    });
+    return results && results[0] ? results[0].result || null : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * X-Robots-Tag values of a page: the ones captured for the tab's main-frame response. When the
+ * response was not seen (e.g. after a client-side route change, or the worker started after the
+ * page loaded), a HEAD request is only sent if `headRequest` is set, so automatic badge checks
+ * never add requests to the site.
+ *
+ * @param {string} url - Page URL.
+ * @param {number} tabId - Tab showing the page (optional).
+ * @param {boolean} [headRequest] - Request the header when it was not captured.
+ * @returns {Promise<Array<string>>} Header values (empty when absent or unreadable).
+ */
+async function getXRobotsTag(url, tabId, headRequest) {
+  const captured = xRobotsTagByTab.get(tabId);
+  if (captured && captured.url.split("#")[0] === url.split("#")[0]) return captured.values;
+  if (!headRequest) return [];
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000); // 10s timeout
+  try {
+    const response = await fetch(url, { method: "HEAD", signal: controller.signal });
+    const header = response.headers.get("x-robots-tag");
+    return header ? [header] : [];
+  } catch (_) {
+    return [];
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Compare the page's robots directives and canonical URL with its sitemap status.
+ *
+ * @param {string} pageUrl - Page URL.
+ * @param {number} tabId - Tab showing the page.
+ * @param {Object} sitemapData - Successful result of resolveSitemapTree.
+ * @param {boolean} inSitemap - Whether the page is listed in the sitemap.
+ * @param {boolean} [headRequest] - Forwarded to getXRobotsTag.
+ * @returns {Promise<Object|null>} {metaRobots, xRobotsTag, noindex, canonical, canonicalIsSelf,
+ *   canonicalInSitemap, conflicts: [{code, message}]}, or null when the page cannot be inspected.
+ */
+async function checkIndexability(pageUrl, tabId, sitemapData, inSitemap, headRequest) {
+  const signals = await readPageIndexSignals(tabId);
+  // The tab may have navigated away since the check started
+  if (!signals || signals.pageUrl.split("#")[0] !== pageUrl.split("#")[0]) return null;
+
+  const xRobotsTag = await getXRobotsTag(pageUrl, tabId, headRequest);
+  const noindex = hasNoindexDirective([...signals.metaRobots, ...xRobotsTag]);
+  const profile = getMatchProfile(new URL(pageUrl).hostname);
+  const canonicalIsSelf =
+    !signals.canonical || normalizeUrlForMatch(signals.canonical, profile) === normalizeUrlForMatch(pageUrl, profile);
+  const canonicalInSitemap = signals.canonical ? !!isUrlInSitemap(signals.canonical, sitemapData) : null;
+
+  const conflicts = [];
+  if (inSitemap && noindex) {
+    conflicts.push({ code: "in-sitemap-noindex", message: "En el sitemap pero con noindex" });
+  }
+  if (!canonicalIsSelf && inSitemap) {
+    conflicts.push({ code: "in-sitemap-canonical-elsewhere", message: "En el sitemap pero el canonical apunta a otra URL" });
+  }
+  if (!canonicalIsSelf && !canonicalInSitemap) {
+    conflicts.push({ code: "canonical-not-in-sitemap", message: "El canonical apunta a una URL que no está en el sitemap" });
+  }
+
+  return {
+    metaRobots: signals.metaRobots,
+    xRobotsTag,
+    noindex,
+    canonical: signals.canonical,
+    canonicalIsSelf,
+    canonicalInSitemap,
+    conflicts,
+  };
+}
+
+// Capture X-Robots-Tag of main-frame responses (read-only, non-blocking)
+chrome.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    if (details.tabId < 0) return;
+    const values = (details.responseHeaders || [])
+      .filter((header) => header.name.toLowerCase() === "x-robots-tag")
+      .map((header) => header.value || "");
+    xRobotsTagByTab.set(details.tabId, { url: details.url, values });
+  },
+  { urls: ["<all_urls>"], types: ["main_frame"] },
+  ["responseHeaders"]
+);
+
+/**
+ * Resolve sitemap for the tab URL, parse it (with fallback), and evaluate presence of the tab URL.
+ * When the tab can be inspected, its noindex / canonical signals are compared with the result.
+ *
+ * @param {string} tabUrl - Current tab URL.
+ * @param {number} tabId - Current tab ID (used for page-context fallback).
+ * @param {{forceRefresh?: boolean, pageContextFirst?: boolean, headRequest?: boolean}} [options] -
+ *   Download the sitemaps again before checking (bypassing the cache); download them from the
+ *   page context first; request the page's X-Robots-Tag when it was not captured (only for
+ *   checks asked for by the popup or side panel).
+ * @returns {Promise<Object>} Result with status, hasError, message, and sitemap info; errors
+ *   also carry `errorCode` and `errorDetails` (see sitemapFailure).
+ */
+async function processSitemapRequest(tabUrl, tabId, options) {
+  try {
+    await matchProfilesReady;
+    const sitemapData = await loadSiteSitemaps(tabUrl, tabId, options);
+
+    if (!sitemapData.success) {
+      return {
+        status: "error",
+        currentUrl: tabUrl,
+        message: sitemapData.noSitemap
+          ? sitemapData.error
+          : `Error al leer el sitemap: ${sitemapData.error}`,
+        noSitemap: !!sitemapData.noSitemap,
+        errorCode: sitemapData.errorCode || "UNKNOWN",
+        errorDetails: sitemapData.errorDetails || null,
+        hasError: true,
+      };
+    }
+
+    const urlInSitemap = isUrlInSitemap(tabUrl, sitemapData);
+    const hreflangIssues = getHreflangIssues(sitemapData);
+    const indexability = tabId
+      ? await checkIndexability(tabUrl, tabId, sitemapData, !!urlInSitemap, !!(options && options.headRequest))
+      : null;
+
+    return {
+      status: "success",
+      currentUrl: tabUrl,
+      sitemapUrl: sitemapData.roots[0].loc,
+      discoveredSitemaps: sitemapData.roots,
+      urlFound: !!urlInSitemap,
+      urlDetails: urlInSitemap,
+      totalUrls: sitemapData.count,
+      lastModified: sitemapData.lastModified,
+      childSitemaps: sitemapData.sitemaps,
+      failedSitemaps: sitemapData.failedSitemaps,
+      cachedAt: sitemapData.cachedAt,
+      hreflangIssueCount: hreflangIssues.length,
+      urlHreflangIssues: urlInSitemap
+        ? hreflangIssues.filter((issue) => issue.from === urlInSitemap.loc)
+        : [],
+      indexability,
+      draft: sitemapData.draft || null,
+      hasError: false,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      currentUrl: tabUrl,
+      message: error.message,
+      errorCode: "UNKNOWN",
+      errorDetails: null,
+      hasError: true,
+    };
+  }
+}
+
+/**
+ * Listen for messages from popup.js to process sitemap checks
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Classify a batch of URLs (e.g. page links) against the sitemap of the given page URL.
+  // Only URLs of the same site (host or alias) are considered; the missing ones are returned.
+  if (request.action === "classifyUrls") {
+    (async () => {
+      try {
+        const tabUrl = request.url;
+        const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
+        if (!tabUrl) {
+          sendResponse({ success: false, error: "No URL provided" });
+          return;
+        }
+
+        await matchProfilesReady;
+        const sitemapData = await loadSiteSitemaps(tabUrl, tabId);
+
+        if (!sitemapData.success) {
+          sendResponse({ success: false, error: sitemapData.error || "Parse error" });
+          return;
+        }
+
+        const profile = getMatchProfile(new URL(tabUrl).hostname);
+        const sitemapKeys = getSitemapLookup(sitemapData, profile);
+        const missing = [];
+        const matchedAs = {}; // missing URL -> normalized form it was looked up as
+        for (const candidate of Array.isArray(request.urls) ? request.urls : []) {
+          let candidateHost;
+          try {
+            candidateHost = new URL(candidate).hostname;
+          } catch (_) {
+            continue; // skip invalid URL
+          }
+          if (candidateHost !== profile.host && !profile.hostAliases.includes(candidateHost)) continue;
+          const key = normalizeUrlForMatch(candidate, profile);
+          if (key && !sitemapKeys.has(key)) {
+            missing.push(candidate);
+            matchedAs[candidate] = key;
+          }
+        }
+
+        sendResponse({ success: true, missing, matchedAs, draft: !!sitemapData.draft });
+      } catch (e) {
+        sendResponse({ success: false, error: e && e.message ? e.message : String(e) });
+      }
+    })();
+
+    return true; // async response
+  }
+
+  // Read the matching profile that applies to a page URL
+  if (request.action === "getMatchProfile") {
+    (async () => {
+      try {
+        await matchProfilesReady;
+        sendResponse({ success: true, profile: getMatchProfile(new URL(request.url).hostname) });
+      } catch (e) {
+        sendResponse({ success: false, error: e && e.message ? e.message : String(e) });
+      }
+    })();
+
+    return true; // async response
+  }
+
+  // Store the matching profile for a site (keyed by the profile's `host`)
+  if (request.action === "saveMatchProfile") {
+    (async () => {
+      try {
+        await matchProfilesReady;
+        const input = request.profile || {};
+        if (!input.host) throw new Error("No host provided");
+        const toList = (value) =>
+          (Array.isArray(value) ? value : String(value || "").split(","))
+            .map((item) => item.trim())
+            .filter(Boolean);
+        const profile = {
+          keepParams: toList(input.keepParams),
+          trailingSlash: input.trailingSlash === "strict" ? "strict" : "ignore",
+          hostAliases: toList(input.hostAliases).map((host) => host.toLowerCase()),
+          ignoreScheme: !!input.ignoreScheme,
+          caseInsensitive: !!input.caseInsensitive,
+          decode: !!input.decode,
+        };
+        const next = { ...matchProfiles, [String(input.host).toLowerCase()]: profile };
+        await chrome.storage.local.set({ [MATCH_PROFILES_STORAGE_KEY]: next });
+        matchProfiles = next;
+        sendResponse({ success: true, profile: getMatchProfile(input.host) });
+      } catch (e) {
+        sendResponse({ success: false, error: e && e.message ? e.message : String(e) });
+      }
+    })();
+
+    return true; // async response
+  }
+
+  // Validate the site's sitemaps against the sitemaps.org protocol
+  if (request.action === "validateSitemap") {
+    (async () => {
+      try {
+        const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
+        if (!request.url) {
+          sendResponse({ success: false, error: "No URL provided" });
+          return;
+        }
+        const sitemapData = await loadSiteSitemaps(request.url, tabId);
+        if (!sitemapData.success) {
+          sendResponse({ success: false, error: sitemapData.error });
+          return;
+        }
+        sendResponse({ success: true, report: validateSitemapTree(sitemapData) });
+      } catch (e) {
+        sendResponse({ success: false, error: e && e.message ? e.message : String(e) });
+      }
+    })();
+
+    return true; // async response
+  }
+
+  // Remove a non-indexed URL from its site's list
+  if (request.action === "removeNonIndexedUrl") {
+    removeNonIndexedUrl(request.url)
+      .then(() => sendResponse({ success: true }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Add multiple non-indexed URLs found on a page (bulk add of highlighted links)
+  if (request.action === "addNonIndexedBulk") {
+    (async () => {
+      try {
+        const urls = Array.isArray(request.urls) ? request.urls : [];
+        await addNonIndexedUrls(urls, { sourcePage: request.url, detectedBy: "link" });
+        sendResponse({ success: true, count: (await getNonIndexedList(request.url)).length });
+      } catch (e) {
+        sendResponse({ success: false, error: e && e.message ? e.message : String(e) });
+      }
+    })();
+
+    return true; // async response
+  }
+
+  // Return the non-indexed list of the site a page belongs to
+  if (request.action === "getNonIndexedList") {
+    Promise.all([getNonIndexedList(request.url), getNonIndexedWarning(request.url)])
+      .then(([list, warning]) => sendResponse({ success: true, urls: list, warning }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Export the site's non-indexed URLs (sitemap document, CSV, JSON or plain list)
+  if (request.action === "exportNonIndexed") {
+    const { format, lastmod, changefreq, priority } = request;
+    exportNonIndexedUrls(request.url, { format, lastmod, changefreq, priority })
+      .then((text) => sendResponse({ success: true, exportText: text }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Check a pasted or imported list of URLs against their hosts' sitemaps
+  if (request.action === "bulkCheckUrls") {
+    bulkCheckUrls(Array.isArray(request.urls) ? request.urls : [], { url: request.url, tabId: request.tabId })
+      .then((results) => sendResponse({ success: true, results }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Use a local or pasted sitemap instead of the published one of a site
+  if (request.action === "setDraftSitemap") {
+    setDraftSitemap(request.url, request.files)
+      .then((draft) => sendResponse({ success: true, draft }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Go back to the published sitemap of a site
+  if (request.action === "clearDraftSitemap") {
+    clearDraftSitemap(request.url)
+      .then(() => sendResponse({ success: true }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Raise (or reset) the sitemap size limit of a site after a SIZE_LIMIT error
+  if (request.action === "setSitemapSizeLimit") {
+    setSitemapSizeLimit(request.url, request.megabytes)
+      .then((megabytes) => sendResponse({ success: true, megabytes }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // All entries of the site's sitemaps (sitemap browser)
+  if (request.action === "getSitemapEntries") {
+    const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
+    getSitemapEntries(request.url, tabId)
+      .then((entries) => sendResponse({ success: true, entries }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // List the stored snapshots of the site's sitemaps
+  if (request.action === "getSitemapSnapshots") {
+    const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
+    getSitemapSnapshots(request.url, tabId)
+      .then((sitemaps) => sendResponse({ success: true, sitemaps }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Compare two snapshots of a sitemap
+  if (request.action === "diffSitemapSnapshots") {
+    diffSitemapSnapshots(request.fromId, request.toId)
+      .then((diff) => sendResponse({ success: true, diff }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Read the watched sites (all of them, or the one a page belongs to when `url` is given)
+  if (request.action === "getWatchedSites") {
+    getWatchedSites()
+      .then((sites) => {
+        if (!request.url) {
+          sendResponse({ success: true, sites });
+          return;
+        }
+        sendResponse({ success: true, site: sites[getSiteOrigin(request.url)] || null });
+      })
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Start, update or stop watching a site
+  if (request.action === "setWatchedSite") {
+    const { enabled, intervalMinutes, dropThreshold } = request;
+    setWatchedSite(request.url, { enabled: !!enabled, intervalMinutes, dropThreshold })
+      .then((site) => sendResponse({ success: true, site }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Check a watched site now
+  if (request.action === "runWatchCheck") {
+    runWatchCheck(request.site)
+      .then((check) => sendResponse({ success: true, check }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Start a crawl of the site from the given page
+  if (request.action === "startCrawl") {
+    try {
+      const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
+      sendResponse({ success: true, crawl: startCrawl(request.url, tabId, request.settings) });
+    } catch (e) {
+      sendResponse({ success: false, error: e && e.message ? e.message : String(e) });
+    }
+    return false; // response sent synchronously
+  }
+
+  // Stop the running crawl (pages being fetched finish first)
+  if (request.action === "stopCrawl") {
+    crawlStopRequested = true;
+    sendResponse({ success: true });
+    return false; // response sent synchronously
+  }
+
+  // Progress and results of the last crawl
+  if (request.action === "getCrawlStatus") {
+    sendResponse({ success: true, crawl: getCrawlStatus() });
+    return false; // response sent synchronously
+  }
+
+  // Start, pause or resume the health audit of the site's sitemap URLs
+  if (request.action === "startAudit" || request.action === "resumeAudit") {
+    const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
+    const started =
+      request.action === "startAudit"
+        ? startAudit(request.url, tabId, request.settings)
+        : resumeAudit(request.url);
+    started
+      .then((audit) => sendResponse({ success: true, audit }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  if (request.action === "pauseAudit") {
+    auditPauseRequested = true;
+    sendResponse({ success: true });
+    return false; // response sent synchronously
+  }
+
+  // Audit progress of the site; the per-URL results only when `withResults` is set
+  if (request.action === "getAudit") {
+    getSiteAudit(request.url)
+      .then((audit) => {
+        const summary = summarizeAudit(audit);
+        if (summary && request.withResults) summary.results = audit.results;
+        sendResponse({ success: true, audit: summary });
+      })
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Mark or unmark an existing sitemap entry for removal from the proposed sitemap
+  if (request.action === "setSitemapRemoval") {
+    setSitemapRemoval(request.loc, !!request.marked)
+      .then((count) => sendResponse({ success: true, count }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  // Build the merged sitemap (current entries - removals + non-indexed URLs)
+  if (request.action === "buildProposedSitemap") {
+    const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
+    buildProposedSitemap(request.url, tabId, { lastmod: request.lastmod })
+      .then(sendResponse)
+      .catch((e) => sendResponse({ success: false, error: e && e.message ? e.message : String(e) }));
+
+    return true; // async response
+  }
+
+  if (request.action === "checkSitemap") {
+    processSitemapRequest(request.url, request.tabId, {
+      forceRefresh: !!request.forceRefresh,
+      pageContextFirst: !!request.pageContextFirst,
+      headRequest: true,
+    })
+      .then(async (result) => {
+        // Include the site's non-indexed list and removal marks so popup can display them
+        sendResponse(await addSiteListsToResult(result, request.url));
+        // Recording the visit and the badge update do not hold the answer: an open popup
+        // reloads the list when the stored one changes. A URL opened from the context menu
+        // (popup.html?url=) was not visited: leave the non-indexed list and the badges alone
+        if (!request.deepLink) {
+          const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
+          await updateBadgeFromResult(result, tabId);
+        }
+      })
+      .catch((e) =>
+        sendResponse({
+          status: "error",
+          currentUrl: request.url,
+          message: e && e.message ? e.message : String(e),
+          errorCode: "UNKNOWN",
+          errorDetails: null,
+          hasError: true,
+        })
+      );
+
+    return true; // Indicate that we will send a response asynchronously
+  }
+});
+
+// --- Automatic badge update helpers and listeners ---
+// Keep track of last-processed URL per tab to avoid redundant work
+const lastProcessedUrlByTab = new Map();
+
+// Non-indexed URLs are collected per site (origin) and persisted in chrome.storage.local,
+// one key per origin, so lists survive tab closes and service worker restarts
+const NON_INDEXED_STORAGE_PREFIX = "nonIndexed:";
+/** @type {Map<string, Promise<Object>>} */
+const nonIndexedBySite = new Map(); // origin -> {cleanUrl: {firstSeen, sourcePage, detectedBy}}
+const MAX_NON_INDEXED_PER_SITE = 20000; // new URLs are not added to a full list
+const nonIndexedSaveErrors = new Map(); // origin -> message of the last failed save
+
+/**
+ * Remove query parameters and fragments from a URL, except the parameters the matching
+ * profile of its host keeps (those identify distinct pages).
+ *
+ * @param {string} url - The URL to clean.
+ * @returns {string} URL without query parameters or fragments.
+ */
+function removeUrlParameters(url) {
+  try {
+    const urlObj = new URL(url);
+    const { keepParams } = getMatchProfile(urlObj.hostname);
+    const kept = new URLSearchParams();
+    for (const [name, value] of urlObj.searchParams) {
+      if (keepParams.includes(name)) kept.append(name, value);
+    }
+    kept.sort();
+    const query = kept.toString();
+    return urlObj.origin + urlObj.pathname + (query ? `?${query}` : "");
+  } catch (e) {
+    // Fallback: simple string split if URL parsing fails
+    return url.split("?")[0].split("#")[0];
+  }
+}
+
+/**
+ * Origin a URL's non-indexed list is stored under.
+ *
+ * @param {string} url - Any URL of the site.
+ * @returns {string|null} Origin, or null for URLs that cannot be parsed.
+ */
+function getSiteOrigin(url) {
+  try {
+    const { origin } = new URL(url);
+    return origin && origin !== "null" ? origin : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Load the stored non-indexed entries of a site (cached for the worker's lifetime).
+ *
+ * @param {string} origin - Site origin.
+ * @returns {Promise<Object>} Map-like object cleanUrl -> entry.
+ */
+function loadNonIndexedSite(origin) {
+  let pending = nonIndexedBySite.get(origin);
+  if (!pending) {
+    const key = NON_INDEXED_STORAGE_PREFIX + origin;
+    pending = chrome.storage.local
+      .get(key)
+      .then((stored) => (stored && stored[key]) || {})
+      .catch(() => ({}));
+    nonIndexedBySite.set(origin, pending);
+  }
+  return pending;
+}
+
+/**
+ * Apply a change to a site's non-indexed entries, persist it and refresh the badge of every
+ * tab showing that site. Updates for the same site are applied one after another.
+ *
+ * @param {string} origin - Site origin.
+ * @param {function(Object): boolean} mutate - Changes the entries in place; returns whether
+ *   anything changed.
+ * @returns {Promise<Object>} Entries after the change.
+ */
+function updateNonIndexedSite(origin, mutate) {
+  const pending = loadNonIndexedSite(origin).then(async (entries) => {
+    if (!mutate(entries)) return entries;
+    const key = NON_INDEXED_STORAGE_PREFIX + origin;
+    try {
+      if (Object.keys(entries).length > 0) {
+        await chrome.storage.local.set({ [key]: entries });
+      } else {
+        await chrome.storage.local.remove(key);
+      }
+      nonIndexedSaveErrors.delete(origin);
+    } catch (e) {
+      console.error("Error saving non-indexed URLs:", e);
+      // The entries stay in memory until the worker restarts; let an open popup know
+      const warning = `No se pudo guardar la lista (${e && e.message ? e.message : e}): se perderá al reiniciar el navegador`;
+      nonIndexedSaveErrors.set(origin, warning);
+      chrome.runtime.sendMessage({ action: "nonIndexedWarning", origin, warning }).catch(() => {
+        // no popup open
+      });
+    }
+    refreshSiteBadges(origin, Object.keys(entries).length);
+    return entries;
+  });
+  nonIndexedBySite.set(origin, pending);
+  return pending;
+}
+
+/**
+ * Show a site's non-indexed count on every open tab of that site.
+ *
+ * @param {string} origin - Site origin.
+ * @param {number} count - Number of non-indexed URLs of the site.
+ * @returns {Promise<void>}
+ */
+async function refreshSiteBadges(origin, count) {
+  try {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      if (tab.id != null && tab.url && getSiteOrigin(tab.url) === origin) updateBadge(tab.id, { count });
+    }
+  } catch (_) {
+    // ignore tabs that cannot be queried
+  }
+}
+
+/**
+ * Add non‑indexed URLs to their site's list, keeping the first-seen data of URLs already listed.
+ *
+ * @param {Array<string>} urls - The URLs to add.
+ * @param {{sourcePage?: string, detectedBy: string}} details - Page where the URLs were found
+ *   and how: "visit" (the page itself), "link" (a highlighted link), "crawl" (a link found
+ *   by the crawler) or "manual" (added from the context menu).
+ * @returns {Promise<void>}
+ */
+async function addNonIndexedUrls(urls, details) {
+  // Group by site, since highlighted links can point to an alias host
+  const bySite = new Map();
+  for (const url of urls) {
+    const origin = getSiteOrigin(url);
+    if (!origin) continue;
+    if (!bySite.has(origin)) bySite.set(origin, []);
+    // Remove query parameters and fragments before storing
+    bySite.get(origin).push(removeUrlParameters(url));
+  }
+
+  const firstSeen = Date.now();
+  const sourcePage = details.sourcePage ? removeUrlParameters(details.sourcePage) : "";
+  await Promise.all(
+    Array.from(bySite, ([origin, cleanUrls]) =>
+      updateNonIndexedSite(origin, (entries) => {
+        let changed = false;
+        let count = Object.keys(entries).length;
+        for (const cleanUrl of cleanUrls) {
+          if (entries[cleanUrl]) continue;
+          if (count >= MAX_NON_INDEXED_PER_SITE) break;
+          count++;
+          entries[cleanUrl] = { firstSeen, sourcePage: sourcePage || cleanUrl, detectedBy: details.detectedBy };
+          changed = true;
+        }
+        return changed;
+      })
+    )
+  );
+}
+
+/**
+ * Remove a non‑indexed URL from its site's list.
+ *
+ * @param {string} url - The URL to remove.
+ * @returns {Promise<void>}
+ */
+async function removeNonIndexedUrl(url) {
+  const origin = getSiteOrigin(url);
+  if (!origin) return;
+  // Clean URL parameters before removing
+  const cleanUrl = removeUrlParameters(url);
+  await updateNonIndexedSite(origin, (entries) => {
+    if (!entries[cleanUrl]) return false;
+    delete entries[cleanUrl];
+    return true;
+  });
+}
+
+/**
+ * Get the non‑indexed URLs of the site a page belongs to, oldest first.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @returns {Promise<Array<{url: string, firstSeen: number, sourcePage: string, detectedBy: string}>>}
+ *   The site's non‑indexed URLs.
+ */
+async function getNonIndexedList(pageUrl) {
+  const origin = getSiteOrigin(pageUrl);
+  if (!origin) return [];
+  const entries = await loadNonIndexedSite(origin);
+  return Object.keys(entries)
+    .map((url) => ({ url, ...entries[url] }))
+    .sort((a, b) => a.firstSeen - b.firstSeen);
+}
+
+/**
+ * Problem with the non-indexed list of the site a page belongs to: its last save failed, or
+ * it is full.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @returns {Promise<string>} Warning for the popup, or "" when the list is fine.
+ */
+async function getNonIndexedWarning(pageUrl) {
+  const origin = getSiteOrigin(pageUrl);
+  if (!origin) return "";
+  if (nonIndexedSaveErrors.has(origin)) return nonIndexedSaveErrors.get(origin);
+  const entries = await loadNonIndexedSite(origin);
+  return Object.keys(entries).length >= MAX_NON_INDEXED_PER_SITE
+    ? `La lista está llena (${MAX_NON_INDEXED_PER_SITE} URLs): elimina URLs de la lista para registrar nuevas`
+    : "";
+}
+
+/**
+ * Export the non‑indexed URLs of a site as a complete sitemap document, CSV, JSON or a plain list.
+ *
+ * @param {string} pageUrl - Any URL of the site whose non‑indexed list to export.
+ * @param {{format?: string, lastmod?: string, changefreq?: string, priority?: (number|string)}} [options] -
+ *   `format` is "xml" (default), "csv", "json" or "txt"; `lastmod` is an optional date string
+ *   (e.g., YYYY‑MM‑DD; today's date when missing or invalid); `changefreq` and `priority` are
+ *   added to the XML and JSON entries when valid.
+ * @returns {Promise<string>} Exported document, or "" when the site has no non‑indexed URLs.
+ */
+async function exportNonIndexedUrls(pageUrl, options = {}) {
+  const list = await getNonIndexedList(pageUrl);
+  if (list.length === 0) return "";
+
+  const lastmodTimestamp = resolveExportLastmod(options.lastmod);
+
+  const changefreq = VALID_CHANGEFREQ.includes(options.changefreq) ? options.changefreq : null;
+  const priorityValue = options.priority === "" || options.priority == null ? NaN : Number(options.priority);
+  const priority = priorityValue >= 0 && priorityValue <= 1 ? priorityValue.toFixed(1) : null;
+
+  const format = options.format || "xml";
+  if (format === "txt") {
+    return list.map(({ url }) => url).join("\n");
+  }
+
+  if (format === "csv") {
+    const rows = [["url", "lastmod", "first_seen", "source_page"]];
+    for (const entry of list) {
+      rows.push([entry.url, lastmodTimestamp, formatWithOffset(new Date(entry.firstSeen)), entry.sourcePage]);
+    }
+    return rows.map((row) => row.map(toCsvCell).join(",")).join("\n");
+  }
+
+  if (format === "json") {
+    const urls = list.map((entry) => {
+      const item = { loc: entry.url, lastmod: lastmodTimestamp };
+      if (changefreq) item.changefreq = changefreq;
+      if (priority) item.priority = Number(priority);
+      item.firstSeen = formatWithOffset(new Date(entry.firstSeen));
+      item.sourcePage = entry.sourcePage;
+      item.detectedBy = entry.detectedBy;
+      return item;
+    });
+    return JSON.stringify({ site: getSiteOrigin(pageUrl), exportedAt: formatWithOffset(new Date()), urls }, null, 2);
+  }
+
+  const entries = list
+    .map(({ url: urlString }) => {
+      const lines = [
+        "  <url>",
+        `    <loc>${escapeXml(urlString)}</loc>`,
+        `    <lastmod>${lastmodTimestamp}</lastmod>`,
+      ];
+      if (changefreq) lines.push(`    <changefreq>${changefreq}</changefreq>`);
+      if (priority) lines.push(`    <priority>${priority}</priority>`);
+      lines.push("  </url>");
+      return lines.join("\n");
+    })
+    .join("\n");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset xmlns="${SITEMAP_NAMESPACE}">`,
+    entries,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Produce a timestamp like: 2025-05-13T22:21:07+00:00
+ *
+ * @param {Date} d - Date to format.
+ * @returns {string} UTC W3C Datetime without milliseconds.
+ */
+function formatWithOffset(d) {
+  // Use UTC time and append +00:00
+  // Remove milliseconds and trailing Z
+  return d.toISOString().replace(/\.\d{3}Z$/, "+00:00");
+}
+
+/**
+ * Timestamp written as <lastmod> of exported entries.
+ *
+ * @param {string} lastmodInput - Optional date string (e.g., YYYY‑MM‑DD). If invalid, today's date is used.
+ * @returns {string} Formatted timestamp.
+ */
+function resolveExportLastmod(lastmodInput) {
+  if (lastmodInput) {
+    const parsed = new Date(lastmodInput);
+    if (!isNaN(parsed.getTime())) return formatWithOffset(parsed);
+  }
+  return formatWithOffset(new Date());
+}
+
+/**
+ * Quote a CSV cell when it contains a separator, quote or line break.
+ *
+ * @param {*} value - Cell value.
+ * @returns {string} CSV-safe cell.
+ */
+function toCsvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Marks of existing sitemap entries the user wants dropped from the proposed sitemap,
+// stored per origin like the non-indexed list
+const REMOVALS_STORAGE_PREFIX = "sitemapRemovals:";
+
+/**
+ * Get the sitemap entries of a site marked for removal.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @returns {Promise<Object<string, number>>} Entry <loc> -> time it was marked.
+ */
+async function getSitemapRemovals(pageUrl) {
+  const origin = getSiteOrigin(pageUrl);
+  if (!origin) return {};
+  const key = REMOVALS_STORAGE_PREFIX + origin;
+  const stored = await chrome.storage.local.get(key);
+  return (stored && stored[key]) || {};
+}
+
+/**
+ * Mark or unmark a sitemap entry for removal from the proposed sitemap.
+ *
+ * @param {string} loc - The entry's <loc>, exactly as listed in the sitemap.
+ * @param {boolean} marked - Whether the entry should be removed.
+ * @returns {Promise<number>} Number of entries of the site marked for removal.
+ */
+async function setSitemapRemoval(loc, marked) {
+  const origin = getSiteOrigin(loc);
+  if (!origin) throw new Error("URL no válida");
+  const key = REMOVALS_STORAGE_PREFIX + origin;
+  const removals = await getSitemapRemovals(loc);
+  if (marked) {
+    removals[loc] = removals[loc] || Date.now();
+  } else {
+    delete removals[loc];
+  }
+  if (Object.keys(removals).length > 0) {
+    await chrome.storage.local.set({ [key]: removals });
+  } else {
+    await chrome.storage.local.remove(key);
+  }
+  return Object.keys(removals).length;
+}
+
+// Namespaces of the sitemap extensions written back to the proposed sitemap, by prefix
+const SITEMAP_EXTENSION_NAMESPACES = {
+  xhtml: "http://www.w3.org/1999/xhtml",
+  image: "http://www.google.com/schemas/sitemap-image/1.1",
+  video: "http://www.google.com/schemas/sitemap-video/1.1",
+  news: "http://www.google.com/schemas/sitemap-news/0.9",
+};
+
+/**
+ * Serialize the hreflang, image, video and news extensions of a parsed entry (see
+ * readSitemapEntry) as the lines of its <url> element.
+ *
+ * @param {Object} entry - Sitemap entry.
+ * @returns {{lines: Array<string>, prefixes: Array<string>}} XML lines and the namespace
+ *   prefixes they use.
+ */
+function formatSitemapExtensions(entry) {
+  const lines = [];
+  const prefixes = [];
+  const element = (name, value) => (value ? [`      <${name}>${escapeXml(value)}</${name}>`] : []);
+
+  for (const alternate of entry.alternates || []) {
+    lines.push(
+      `    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" href="${escapeXml(alternate.href)}"/>`
+    );
+  }
+  if (entry.alternates && entry.alternates.length > 0) prefixes.push("xhtml");
+
+  for (const image of entry.images || []) {
+    lines.push(
+      "    <image:image>",
+      ...element("image:loc", image.loc),
+      ...element("image:title", image.title),
+      ...element("image:caption", image.caption),
+      "    </image:image>"
+    );
+  }
+  if (entry.images && entry.images.length > 0) prefixes.push("image");
+
+  for (const video of entry.videos || []) {
+    lines.push(
+      "    <video:video>",
+      ...element("video:thumbnail_loc", video.thumbnailLoc),
+      ...element("video:title", video.title),
+      ...element("video:description", video.description),
+      ...element("video:content_loc", video.contentLoc),
+      ...element("video:player_loc", video.playerLoc),
+      ...element("video:duration", video.duration),
+      ...element("video:publication_date", video.publicationDate),
+      "    </video:video>"
+    );
+  }
+  if (entry.videos && entry.videos.length > 0) prefixes.push("video");
+
+  if (entry.news) {
+    lines.push(
+      "    <news:news>",
+      "      <news:publication>",
+      ...element("news:name", entry.news.publicationName).map((line) => `  ${line}`),
+      ...element("news:language", entry.news.publicationLanguage).map((line) => `  ${line}`),
+      "      </news:publication>",
+      ...element("news:publication_date", entry.news.publicationDate),
+      ...element("news:title", entry.news.title),
+      "    </news:news>"
+    );
+    prefixes.push("news");
+  }
+  return { lines, prefixes };
+}
+
+/**
+ * Build the sitemap a site should have: its current entries without the ones marked for
+ * removal, plus the non-indexed URLs collected for it. Output is split into files of at most
+ * MAX_URLS_PER_SITEMAP entries / MAX_SITEMAP_BYTES with a sitemap index when needed.
+ * Besides <loc>, <lastmod>, <changefreq> and <priority>, the hreflang, image, video and news
+ * extensions of the current entries are written back, with their namespaces declared.
+ *
+ * @param {string} pageUrl - Any URL of the site.
+ * @param {number} tabId - Tab ID used for the page-context fallback (optional).
+ * @param {{lastmod?: string}} [options] - Date for the added entries (today when missing or invalid).
+ * @returns {Promise<Object>} {success, files: [{name, content}], kept, added, removed,
+ *   extensions} (the extension prefixes written) or {success: false, error}.
+ */
+async function buildProposedSitemap(pageUrl, tabId, options = {}) {
+  await matchProfilesReady;
+  const sitemapData = await loadSiteSitemaps(pageUrl, tabId);
+  if (!sitemapData.success) return { success: false, error: sitemapData.error };
+
+  const origin = getSiteOrigin(pageUrl);
+  const profile = getMatchProfile(new URL(pageUrl).hostname);
+  const removals = await getSitemapRemovals(pageUrl);
+  const lastmodTimestamp = resolveExportLastmod(options.lastmod);
+
+  // Existing entries first (original order and lastmod), one per matching key
+  const entries = [];
+  const seen = new Set();
+  let removed = 0;
+  for (const item of sitemapData.urls) {
+    if (removals[item.loc]) {
+      removed++;
+      continue;
+    }
+    const key = normalizeUrlForMatch(item.loc, profile) || item.loc;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    entries.push(item);
+  }
+  const kept = entries.length;
+
+  for (const { url } of await getNonIndexedList(pageUrl)) {
+    const key = normalizeUrlForMatch(url, profile) || url;
+    if (seen.has(key) || removals[url]) continue;
+    seen.add(key);
+    entries.push({ loc: url, lastmod: lastmodTimestamp });
+  }
+
+  const blocks = [];
+  const usedPrefixes = new Set();
+  for (const entry of entries) {
+    const lines = ["  <url>", `    <loc>${escapeXml(entry.loc)}</loc>`];
+    if (entry.lastmod) lines.push(`    <lastmod>${escapeXml(entry.lastmod)}</lastmod>`);
+    if (entry.changefreq) lines.push(`    <changefreq>${escapeXml(entry.changefreq)}</changefreq>`);
+    if (entry.priority) lines.push(`    <priority>${escapeXml(entry.priority)}</priority>`);
+    const extensions = formatSitemapExtensions(entry);
+    lines.push(...extensions.lines);
+    extensions.prefixes.forEach((prefix) => usedPrefixes.add(prefix));
+    lines.push("  </url>\n");
+    blocks.push(lines.join("\n"));
+  }
+
+  const extensionPrefixes = Object.keys(SITEMAP_EXTENSION_NAMESPACES).filter((prefix) => usedPrefixes.has(prefix));
+  const namespaceAttributes = extensionPrefixes
+    .map((prefix) => ` xmlns:${prefix}="${SITEMAP_EXTENSION_NAMESPACES[prefix]}"`)
+    .join("");
+  const urlsetHeader = `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="${SITEMAP_NAMESPACE}"${namespaceAttributes}>\n`;
+  const urlsetFooter = "</urlset>\n";
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = [];
+  let currentBytes = 0;
+  for (const block of blocks) {
+    const blockBytes = encoder.encode(block).length;
+    if (
+      current.length > 0 &&
+      (current.length >= MAX_URLS_PER_SITEMAP ||
+        currentBytes + blockBytes + urlsetHeader.length + urlsetFooter.length > MAX_SITEMAP_BYTES)
+    ) {
+      chunks.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(block);
+    currentBytes += blockBytes;
+  }
+  chunks.push(current);
+
+  const toUrlset = (blocks) => urlsetHeader + blocks.join("") + urlsetFooter;
+  let files;
+  if (chunks.length === 1) {
+    files = [{ name: "sitemap.xml", content: toUrlset(chunks[0]) }];
+  } else {
+    files = chunks.map((blocks, index) => ({ name: `sitemap-${index + 1}.xml`, content: toUrlset(blocks) }));
+    const indexEntries = files
+      .map((file) =>
+        [
+          "  <sitemap>",
+          `    <loc>${escapeXml(`${origin}/${file.name}`)}</loc>`,
+          `    <lastmod>${lastmodTimestamp}</lastmod>`,
+          "  </sitemap>\n",
+        ].join("\n")
+      )
+      .join("");
+    files.unshift({
+      name: "sitemap.xml",
+      content: `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="${SITEMAP_NAMESPACE}">\n${indexEntries}</sitemapindex>\n`,
+    });
+  }
+
+  return { success: true, files, kept, added: entries.length - kept, removed, extensions: extensionPrefixes };
+}
+
+/**
+ * Add the site's non‑indexed list and removal marks to a check result, as the popup shows them.
+ *
+ * @param {Object} result - Result object from processSitemapRequest (modified in place).
+ * @param {string} pageUrl - Checked URL.
+ * @returns {Promise<Object>} The same result.
+ */
+async function addSiteListsToResult(result, pageUrl) {
+  result.nonIndexedUrls = await getNonIndexedList(pageUrl);
+  result.nonIndexedWarning = await getNonIndexedWarning(pageUrl);
+  const removals = await getSitemapRemovals(pageUrl);
+  result.removalCount = Object.keys(removals).length;
+  result.urlMarkedForRemoval = !!(result.urlDetails && removals[result.urlDetails.loc]);
+  return result;
+}
+
+/**
+ * Update badge and non‑indexed list based on a result from processing a sitemap request.
+ * The result of a tab is also pushed to the side panel ("sitemapResultUpdated").
+ *
+ * @param {any} result - Result object from processSitemapRequest.
+ * @param {number} tabId - Tab ID to update.
+ * @returns {Promise<void>}
+ */
+async function updateBadgeFromResult(result, tabId) {
+  try {
+    // Results read from a draft sitemap leave the non-indexed list alone: it tracks the
+    // published sitemap
+    const updatesList = !result.hasError && result.status === "success" && !result.draft;
+    if (updatesList && result.urlFound === false) {
+      // If URL is not found in the sitemap, add it to the site's non-indexed list
+      await addNonIndexedUrls([result.currentUrl], { sourcePage: result.currentUrl, detectedBy: "visit" });
+    } else if (updatesList && result.urlFound === true) {
+      // If URL is found in sitemap, ensure it's removed from the non-indexed list
+      await removeNonIndexedUrl(result.currentUrl);
+    }
+
+    // Badges of other tabs are refreshed on changes; the checked tab always gets the site count
+    if (tabId != null && result.currentUrl) {
+      updateBadge(tabId, { state: getBadgeState(result), count: (await getNonIndexedList(result.currentUrl)).length });
+
+      // Let an open side panel follow the tab without polling
+      const update = await addSiteListsToResult({ ...result }, result.currentUrl);
+      chrome.runtime.sendMessage({ action: "sitemapResultUpdated", tabId, result: update }).catch(() => {
+        // no side panel (or popup) open
+      });
+    }
+  } catch (error) {
+    console.error("Error setting badge:", error);
+  }
+}
+
+/**
+ * When a tab's URL changes or finishes loading, process it and update badge state.
+ *
+ * @param {number} tabId - Tab ID.
+ * @param {string} url - Tab URL.
+ * @returns {Promise<void>}
+ */
+async function checkTabAndUpdate(tabId, url) {
+  if (!url || !/^https?:\/\//i.test(url)) return;
+
+  const last = lastProcessedUrlByTab.get(tabId);
+  if (last === url) return; // no change
+  lastProcessedUrlByTab.set(tabId, url);
+
+  updateBadge(tabId, { state: "loading" });
+  try {
+    const result = await processSitemapRequest(url, tabId);
+    await updateBadgeFromResult(result, tabId);
+  } catch (e) {
+    updateBadge(tabId, { state: "error" });
+    console.error("Error processing sitemap for tab:", e);
+  }
+}
+
+// When a tab completes loading (or its URL changes), run the check
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // If the URL changed or the load completed, check sitemap
+  if (changeInfo.url) {
+    checkTabAndUpdate(tabId, changeInfo.url);
+  } else if (changeInfo.status === "complete") {
+    const url = (tab && tab.url) || null;
+    checkTabAndUpdate(tabId, url);
+  }
+});
+
+// Client-side navigations (pushState) do not always fire tabs.onUpdated: check the new URL and
+// let the link highlighter pick up the links of the new view
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId !== 0) return;
+  checkTabAndUpdate(details.tabId, details.url);
+  chrome.tabs.sendMessage(details.tabId, { action: "historyStateUpdated", url: details.url }).catch(() => {});
+});
+
+// When switching active tabs, check the newly active tab
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  chrome.tabs.get(activeInfo.tabId, (tab) => {
+    if (chrome.runtime.lastError || !tab) return;
+    checkTabAndUpdate(activeInfo.tabId, tab.url);
+  });
+});
+
+// Clean up when a tab is closed (the site's non-indexed list is kept)
+chrome.tabs.onRemoved.addListener((tabId) => {
+  lastProcessedUrlByTab.delete(tabId);
+  xRobotsTagByTab.delete(tabId);
+  badgeByTab.delete(tabId);
+});
+
+// Keep matching profiles in sync and re-evaluate tabs when they change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes[MATCH_PROFILES_STORAGE_KEY]) return;
+  matchProfiles = changes[MATCH_PROFILES_STORAGE_KEY].newValue || {};
+  lastProcessedUrlByTab.clear();
+});
+
+// --- Scheduled monitoring ---
+// Watched sites are re-checked with chrome.alarms (one alarm per origin) and a notification is
+// shown when the sitemap becomes unreachable, stops parsing, or loses too many URLs.
+const WATCHED_SITES_STORAGE_KEY = "watchedSites";
+// Error codes reported as "unreachable" rather than "parse-error"
+const UNREACHABLE_ERROR_CODES = ["NO_SITEMAP", "CORS_BLOCKED", "NETWORK", "TIMEOUT", "HTTP_4XX", "HTTP_5XX"];
+const WATCH_ALARM_PREFIX = "watch:";
+const DEFAULT_WATCH_INTERVAL_MINUTES = 60;
+const DEFAULT_WATCH_DROP_THRESHOLD = 20; // percent of URLs lost that triggers an alert
+const MAX_WATCH_CHECKS = 20; // check results kept per site for the summary page
+let watchedSitesUpdate = Promise.resolve();
+
+/**
+ * Read the watched sites.
+ *
+ * @returns {Promise<Object<string, Object>>} Origin -> {url, intervalMinutes, dropThreshold,
+ *   addedAt, baselineCount, checks: [{checkedAt, status, count, message}]} (newest check first).
+ *   `baselineCount` is the count of the last check that reported no drop.
+ */
+async function getWatchedSites() {
+  const stored = await chrome.storage.local.get(WATCHED_SITES_STORAGE_KEY);
+  return (stored && stored[WATCHED_SITES_STORAGE_KEY]) || {};
+}
+
+/**
+ * Apply a change to the watched sites and persist it. Updates run one after another.
+ *
+ * @param {function(Object): void} mutate - Changes the watched sites object in place.
+ * @returns {Promise<Object>} Watched sites after the change.
+ */
+function updateWatchedSites(mutate) {
+  const pending = watchedSitesUpdate.then(async () => {
+    const sites = await getWatchedSites();
+    mutate(sites);
+    await chrome.storage.local.set({ [WATCHED_SITES_STORAGE_KEY]: sites });
+    return sites;
+  });
+  watchedSitesUpdate = pending.catch(() => {});
+  return pending;
+}
+
+/**
+ * Start, update or stop watching the site of a page.
+ *
+ * @param {string} pageUrl - Any URL of the site (used for sitemap discovery).
+ * @param {{enabled: boolean, intervalMinutes?: number, dropThreshold?: number}} settings - Watch settings.
+ * @returns {Promise<Object|null>} The site's watch entry, or null when it is no longer watched.
+ */
+async function setWatchedSite(pageUrl, settings) {
+  const origin = getSiteOrigin(pageUrl);
+  if (!origin) throw new Error("URL no válida");
+  const alarmName = WATCH_ALARM_PREFIX + origin;
+
+  if (!settings.enabled) {
+    await updateWatchedSites((sites) => {
+      delete sites[origin];
+    });
+    await chrome.alarms.clear(alarmName);
+    return null;
+  }
+
+  const intervalMinutes = Math.max(1, Math.round(Number(settings.intervalMinutes)) || DEFAULT_WATCH_INTERVAL_MINUTES);
+  const thresholdValue = Number(settings.dropThreshold);
+  const dropThreshold =
+    thresholdValue > 0 && thresholdValue <= 100 ? thresholdValue : DEFAULT_WATCH_DROP_THRESHOLD;
+
+  let isNew = false;
+  const sites = await updateWatchedSites((all) => {
+    isNew = !all[origin];
+    all[origin] = {
+      addedAt: Date.now(),
+      baselineCount: null,
+      checks: [],
+      ...all[origin],
+      url: origin + "/",
+      intervalMinutes,
+      dropThreshold,
+    };
+  });
+  chrome.alarms.create(alarmName, { delayInMinutes: intervalMinutes, periodInMinutes: intervalMinutes });
+  // First check right away so the summary has a baseline
+  if (isNew) runWatchCheck(origin).catch((e) => console.error("Error checking watched site:", e));
+  return sites[origin];
+}
+
+/**
+ * Re-run discovery and parsing for a watched site, record the result and notify on regressions.
+ *
+ * @param {string} origin - Watched site origin.
+ * @returns {Promise<Object|null>} The recorded check, or null when the site is not watched.
+ */
+async function runWatchCheck(origin) {
+  const site = (await getWatchedSites())[origin];
+  if (!site) return null;
+
+  let sitemapData;
+  try {
+    sitemapData = await loadSiteSitemaps(site.url, null, { forceRefresh: true, ignoreDraft: true });
+  } catch (error) {
+    sitemapData = sitemapFailure("UNKNOWN", error.message);
+  }
+
+  const check = { checkedAt: Date.now(), status: "ok", count: null, message: "", errorCode: "" };
+  if (!sitemapData.success) {
+    // Missing sitemaps, HTTP errors, timeouts and network failures mean it could not be downloaded
+    const unreachable = UNREACHABLE_ERROR_CODES.includes(sitemapData.errorCode) || !!sitemapData.noSitemap;
+    check.status = unreachable ? "unreachable" : "parse-error";
+    check.message = sitemapData.error || "";
+    check.errorCode = sitemapData.errorCode || "UNKNOWN";
+  } else {
+    check.count = sitemapData.count;
+    const baseline = site.baselineCount;
+    if (baseline && sitemapData.count < baseline * (1 - site.dropThreshold / 100)) {
+      check.status = "count-drop";
+      check.message = `${baseline} → ${sitemapData.count} URLs`;
+    }
+  }
+
+  let previous = null;
+  await updateWatchedSites((sites) => {
+    const current = sites[origin];
+    if (!current) return;
+    previous = current.checks[0] || null;
+    current.checks = [check, ...current.checks].slice(0, MAX_WATCH_CHECKS);
+    // Only a check without a drop becomes the reference, so a sitemap that stays low after a
+    // drop keeps being compared with its last healthy count instead of becoming the new normal
+    if (check.status === "ok" && check.count != null) current.baselineCount = check.count;
+  });
+
+  // Problems alert once; a count drop alerts again when the sitemap keeps shrinking
+  const previousStatus = previous ? previous.status : "ok";
+  const droppedFurther = check.status === "count-drop" && previousStatus === "count-drop" && check.count < previous.count;
+  if (droppedFurther || (check.status !== "ok" && check.status !== previousStatus)) {
+    notifyWatchProblem(origin, check);
+  }
+  return check;
+}
+
+// Notification titles for each watch check status
+const WATCH_STATUS_TITLES = {
+  unreachable: "Sitemap no disponible",
+  "parse-error": "Error al leer el sitemap",
+  "count-drop": "El sitemap ha perdido URLs",
+};
+
+/**
+ * Show a notification for a failed watch check.
+ *
+ * @param {string} origin - Watched site origin.
+ * @param {Object} check - Check result from runWatchCheck.
+ * @returns {void}
+ */
+function notifyWatchProblem(origin, check) {
+  try {
+    chrome.notifications.create(`${WATCH_ALARM_PREFIX}${origin}:${check.checkedAt}`, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("images/icon-128.png"),
+      title: `${WATCH_STATUS_TITLES[check.status] || "Sitemap"}: ${new URL(origin).hostname}`,
+      message: check.message || origin,
+      priority: 2,
+    });
+  } catch (error) {
+    console.error("Error showing notification:", error);
+  }
+}
+
+// Watched sites alarms
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(WATCH_ALARM_PREFIX)) return;
+  runWatchCheck(alarm.name.slice(WATCH_ALARM_PREFIX.length)).catch((e) =>
+    console.error("Error checking watched site:", e)
+  );
+});
+
+// Open the monitoring summary when a watch notification is clicked
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(WATCH_ALARM_PREFIX)) return;
+  const origin = notificationId.slice(WATCH_ALARM_PREFIX.length).replace(/:\d+$/, "");
+  chrome.tabs.create({ url: chrome.runtime.getURL(`summary.html?site=${encodeURIComponent(origin)}`) });
+  chrome.notifications.clear(notificationId);
+});
+
+// Recreate missing alarms (e.g. after the extension was reloaded)
+(async () => {
+  try {
+    const sites = await getWatchedSites();
+    const alarms = await chrome.alarms.getAll();
+    const existing = new Set(alarms.map((alarm) => alarm.name));
+    for (const [origin, site] of Object.entries(sites)) {
+      const alarmName = WATCH_ALARM_PREFIX + origin;
+      if (!existing.has(alarmName)) {
+        chrome.alarms.create(alarmName, { periodInMinutes: site.intervalMinutes });
+      }
+    }
+  } catch (error) {
+    console.error("Error restoring watch alarms:", error);
+  }
+})();
+
+// --- Crawl mode ---
+// A bounded breadth-first crawl of same-origin pages that reports linked URLs missing from the
+// sitemap. One crawl runs at a time; its state is persisted in IndexedDB so it can be shown
+// after the popup closes and resumed if the service worker restarts. The set of URLs already
+// seen is not stored: it is rebuilt from the crawled pages, the queue and the missing links.
+const CRAWL_STATE_ID = "current";
+const MAX_CRAWL_PAGES = 5000;
+const MAX_CRAWL_DEPTH = 10;
+const MAX_CRAWL_CONCURRENCY = 8;
+const MAX_CRAWL_PAGE_BYTES = 5 * 1024 * 1024; // HTML documents above this size are skipped
+const CRAWL_SAVE_INTERVAL_MS = 5000;
+const HTML_LINK_REGEX = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+const HTML_BASE_REGEX = /<base\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i;
+/** @type {Object|null} */
+let crawlState = null;
+let crawlStopRequested = false;
+let lastCrawlSave = 0;
 
-    return results[0].result;
+/**
+ * Persist the crawl state (throttled unless `force` is set).
+ *
+ * @param {boolean} [force] - Write even if the last write was recent.
+ * @returns {Promise<void>}
+ */
+async function saveCrawlState(force) {
+  if (!crawlState) return;
+  const now = Date.now();
+  if (!force && now - lastCrawlSave < CRAWL_SAVE_INTERVAL_MS) return;
+  lastCrawlSave = now;
+  try {
+    await idbPut(CRAWL_STORE, { ...crawlState, id: CRAWL_STATE_ID });
   } catch (error) {
-    return { success: false, error: error.message };
+    console.error("Error saving crawl state:", error);
   }
 }
 
 /**
- * Check if the current URL is present in the sitemap URLs
+ * Summary of the current crawl for the popup (without the queue and visited set).
  *
- * @param {string} currentUrl - The current URL
- * @param {Array} sitemapUrls - The list of URLs from the sitemap
- *
- * @returns {Object|null} The sitemap URL object if found, otherwise null
+ * @returns {Object|null} Crawl status, or null when no crawl was run.
  */
+function getCrawlStatus() {
+  if (!crawlState) return null;
+  const { queue, inFlight, crawled, id, ...status } = crawlState;
+  return { ...status, queued: queue.length + inFlight.length };
+}
+
 /**
- * Determine whether a given URL (sans params/fragments) exists within the sitemap URLs.
+ * Extract the absolute URLs of the `<a href>` links of an HTML document.
  *
- * @param {string} currentUrl - The URL to check.
- * @param {Array<Object>} sitemapUrls - Parsed sitemap URL entries.
- * @returns {Object|null} Matching entry or null.
+ * @param {string} html - HTML source.
+ * @param {string} pageUrl - URL the document was fetched from (after redirects).
+ * @returns {Array<string>} Link URLs without fragment.
  */
-function isUrlInSitemap(currentUrl, sitemapUrls) {
-  // Remove query parameters and fragments, then remove trailing slashes
-  const cleanCurrentUrl = removeUrlParameters(currentUrl).replace(/\/$/, "");
-
-  for (let item of sitemapUrls) {
-    const cleanSitemapUrl = removeUrlParameters(item.loc).replace(/\/$/, "");
-    if (cleanSitemapUrl === cleanCurrentUrl) {
-      return item;
+function extractHtmlLinks(html, pageUrl) {
+  let baseUrl = pageUrl;
+  const baseMatch = HTML_BASE_REGEX.exec(html);
+  if (baseMatch) {
+    try {
+      baseUrl = new URL(decodeXmlEntities(baseMatch[1] ?? baseMatch[2] ?? baseMatch[3]), pageUrl).href;
+    } catch (_) {
+      // keep the page URL as base
     }
   }
 
-  return null;
+  const links = new Set();
+  HTML_LINK_REGEX.lastIndex = 0;
+  let match;
+  while ((match = HTML_LINK_REGEX.exec(html))) {
+    const href = decodeXmlEntities((match[1] ?? match[2] ?? match[3]).trim());
+    if (!href || /^(javascript|mailto|tel|data):/i.test(href)) continue;
+    try {
+      const linkUrl = new URL(href, baseUrl);
+      if (!/^https?:$/.test(linkUrl.protocol)) continue;
+      linkUrl.hash = "";
+      links.add(linkUrl.href);
+    } catch (_) {
+      // skip invalid href
+    }
+  }
+  return Array.from(links);
 }
 
 /**
- * Process the sitemap request for a given tab URL
- *
- * @param {string} tabUrl - The URL of the current tab
+ * Whether a same-origin URL passes the crawl filters (include/exclude patterns and robots.txt).
  *
- * @returns {Object} The result object containing sitemap information
+ * @param {URL} urlObj - Candidate URL.
+ * @param {Object} state - Crawl state.
+ * @returns {boolean} True when the URL may be crawled and reported.
  */
+function isCrawlAllowed(urlObj, state) {
+  const path = urlObj.pathname + urlObj.search;
+  const { include, exclude } = state.settings;
+  if (include.length > 0 && !include.some((pattern) => matchesPathPattern(path, pattern))) return false;
+  if (exclude.some((pattern) => matchesPathPattern(path, pattern))) return false;
+  if (state.settings.respectRobots && !isAllowedByRobots(path, state.robotsRules)) {
+    state.robotsBlocked++;
+    return false;
+  }
+  return true;
+}
+
 /**
- * Resolve sitemap for the tab URL, parse it (with fallback), and evaluate presence of the tab URL.
+ * Download one page, queue its unseen same-origin links and report those missing from the sitemap.
  *
- * @param {string} tabUrl - Current tab URL.
- * @param {number} tabId - Current tab ID (used for page-context fallback).
- * @returns {Promise<Object>} Result with status, hasError, message, and sitemap info.
+ * @param {{url: string, depth: number}} item - Page to crawl.
+ * @param {Set<string>} seen - URLs already queued, crawled or reported (see runCrawl).
+ * @param {Map<string, Object>} sitemapKeys - Sitemap lookup (see getSitemapLookup).
+ * @param {Object} profile - Matching profile of the site.
+ * @param {boolean} fromDraft - The lookup comes from a draft sitemap (the site's non-indexed
+ *   list is then left untouched).
+ * @returns {Promise<void>}
  */
-async function processSitemapRequest(tabUrl, tabId) {
+async function crawlPage(item, seen, sitemapKeys, profile, fromDraft) {
+  const state = crawlState;
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
+  let html;
+  let finalUrl;
   try {
-    const url = new URL(tabUrl);
-    const hostname = url.hostname;
-    const sitemapUrl = await getSitemapUrl(hostname);
-
-    if (!sitemapUrl) {
-      return {
-        status: "error",
-        message: "No se encontró un sitemap en este sitio",
-        hasError: true,
-      };
+    const response = await fetch(item.url, { signal: controller.signal });
+    finalUrl = response.url || item.url;
+    const contentType = response.headers.get("content-type") || "";
+    if (!response.ok || !/html/i.test(contentType) || getSiteOrigin(finalUrl) !== state.origin) {
+      if (!response.ok) state.errors++;
+      return;
     }
+    const limited = response.body.pipeThrough(createByteLimitStream(MAX_CRAWL_PAGE_BYTES, "Página demasiado grande"));
+    html = await new Response(limited).text();
+  } catch (_) {
+    state.errors++;
+    return;
+  } finally {
+    clearTimeout(timeout);
+  }
 
-    let sitemapData = await parseSitemap(sitemapUrl);
+  const missingOnPage = [];
+  for (const link of extractHtmlLinks(html, finalUrl)) {
+    const linkObj = new URL(link);
+    if (linkObj.origin !== state.origin) continue;
+    state.linksFound++;
 
-    // If direct fetch failed (likely CORS), try page-context fallback when tabId is available
-    if (!sitemapData.success && tabId) {
-      const pageFetchResult = await pageFetchSitemap(sitemapUrl, tabId);
-      if (pageFetchResult && pageFetchResult.success && pageFetchResult.text) {
-        sitemapData = parseSitemapFromText(pageFetchResult.text);
-      }
-    }
+    const cleanUrl = removeUrlParameters(link);
+    if (seen.has(cleanUrl)) continue;
+    seen.add(cleanUrl);
+    if (!isCrawlAllowed(new URL(cleanUrl), state)) continue;
 
-    if (!sitemapData.success) {
-      return {
-        status: "error",
-        message: `Error al leer el sitemap: ${sitemapData.error}`,
-        hasError: true,
-      };
+    const key = normalizeUrlForMatch(cleanUrl, profile);
+    if (key && !sitemapKeys.has(key)) {
+      missingOnPage.push(cleanUrl);
+      state.missing.push({ url: cleanUrl, foundOn: item.url });
     }
+    if (item.depth + 1 <= state.settings.maxDepth) state.queue.push({ url: cleanUrl, depth: item.depth + 1 });
+  }
 
-    const urlInSitemap = isUrlInSitemap(tabUrl, sitemapData.urls);
-
-    return {
-      status: "success",
-      currentUrl: tabUrl,
-      sitemapUrl: sitemapUrl,
-      urlFound: !!urlInSitemap,
-      urlDetails: urlInSitemap,
-      totalUrls: sitemapData.count,
-      lastModified: sitemapData.lastModified,
-      hasError: false,
-    };
-  } catch (error) {
-    return {
-      status: "error",
-      message: error.message,
-      hasError: true,
-    };
+  if (missingOnPage.length > 0 && !fromDraft) {
+    await addNonIndexedUrls(missingOnPage, { sourcePage: item.url, detectedBy: "crawl" });
   }
 }
 
 /**
- * Listen for messages from popup.js to process sitemap checks
+ * Run (or resume) the current crawl until the queue is empty, the page budget is spent or a
+ * stop is requested.
+ *
+ * @returns {Promise<void>}
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // Provide normalized sitemap URL list for the given page URL
-  if (request.action === "getSitemapUrls") {
-    (async () => {
-      try {
-        const tabUrl = request.url;
-        const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
-        if (!tabUrl) {
-          sendResponse({ success: false, error: "No URL provided" });
-          return;
-        }
-
-        const url = new URL(tabUrl);
-        const hostname = url.hostname;
-        const sitemapUrl = await getSitemapUrl(hostname);
-        if (!sitemapUrl) {
-          sendResponse({ success: false, error: "No sitemap found" });
-          return;
-        }
-
-        let sitemapData = await parseSitemap(sitemapUrl);
-        if (!sitemapData.success && tabId) {
-          const pageFetchResult = await pageFetchSitemap(sitemapUrl, tabId);
-          if (pageFetchResult && pageFetchResult.success && pageFetchResult.text) {
-            sitemapData = parseSitemapFromText(pageFetchResult.text);
-          }
-        }
+async function runCrawl() {
+  const state = crawlState;
+  crawlStopRequested = false;
+  try {
+    await matchProfilesReady;
+    const sitemapData = await loadSiteSitemaps(state.startUrl, state.tabId);
+    if (!sitemapData.success) throw new Error(sitemapData.error);
+    const profile = getMatchProfile(new URL(state.startUrl).hostname);
+    const sitemapKeys = getSitemapLookup(sitemapData, profile);
+    if (state.settings.respectRobots && !state.robotsRules) {
+      state.robotsRules = (await fetchRobotsTxt(new URL(state.startUrl).hostname)).rules;
+    }
+    state.robotsRules = state.robotsRules || [];
 
-        if (!sitemapData.success) {
-          sendResponse({ success: false, error: sitemapData.error || "Parse error" });
-          return;
-        }
+    // Pages that were being fetched when the worker stopped go back to the front of the queue
+    state.queue.unshift(...state.inFlight);
+    state.inFlight = [];
+    const seen = new Set([
+      state.startUrl,
+      ...state.crawled,
+      ...state.queue.map((item) => item.url),
+      ...state.missing.map((item) => item.url),
+    ]);
 
-        // Normalize to origin+pathname without trailing slash (except root)
-        const normalized = [];
-        for (const item of sitemapData.urls) {
-          try {
-            const urlObject = new URL(item.loc);
-            const core = urlObject.origin + urlObject.pathname;
-            let clean = removeUrlParameters(core);
-            // remove trailing slash except for root
-            if (clean.length > 1) clean = clean.replace(/\/$/, "");
-            normalized.push(clean);
-          } catch (_) {
-            // skip invalid URL
-          }
+    const worker = async () => {
+      while (!crawlStopRequested) {
+        if (state.pagesCrawled + state.inFlight.length >= state.settings.maxPages) return;
+        const item = state.queue.shift();
+        if (!item) {
+          if (state.inFlight.length === 0) return;
+          // Other workers may still add links
+          await new Promise((resolve) => setTimeout(resolve, 100));
+          continue;
         }
-
-        sendResponse({ success: true, urls: normalized });
-      } catch (e) {
-        sendResponse({ success: false, error: e && e.message ? e.message : String(e) });
+        state.inFlight.push(item);
+        await crawlPage(item, seen, sitemapKeys, profile, !!sitemapData.draft);
+        state.inFlight.splice(state.inFlight.indexOf(item), 1);
+        state.crawled.push(item.url);
+        state.pagesCrawled++;
+        await saveCrawlState();
       }
-    })();
-
-    return true; // async response
-  }
-  // Remove a non-indexed URL from the list
-  if (request.action === "removeNonIndexedUrl") {
-    const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
-    const url = request.url;
-    removeNonIndexedUrl(tabId, url);
-    sendResponse({ success: true });
-    return false; // response sent synchronously
-  }
+    };
+    await Promise.all(Array.from({ length: state.settings.concurrency }, worker));
 
-  // Add multiple non-indexed URLs to the list (bulk add)
-  if (request.action === "addNonIndexedBulk") {
-    const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
-    const urls = Array.isArray(request.urls) ? request.urls : [];
-    try {
-      for (const u of urls) addNonIndexedUrl(tabId, u);
-      sendResponse({ success: true, count: getNonIndexedList(tabId).length });
-    } catch (e) {
-      sendResponse({ success: false, error: e && e.message ? e.message : String(e) });
-    }
-    return false; // synchronous response
+    state.status = crawlStopRequested ? "stopped" : "done";
+  } catch (error) {
+    state.status = "error";
+    state.message = error.message;
   }
+  state.finishedAt = Date.now();
+  await saveCrawlState(true);
+}
 
-  // Return current non-indexed list for a tab
-  if (request.action === "getNonIndexedListForTab") {
-    const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
-    try {
-      const list = getNonIndexedList(tabId);
-      sendResponse({ success: true, urls: list });
-    } catch (e) {
-      sendResponse({ success: false, error: e && e.message ? e.message : String(e) });
-    }
-    return false; // synchronous response
-  }
+/**
+ * Start a crawl from a page of the site.
+ *
+ * @param {string} startUrl - First page to crawl.
+ * @param {number} tabId - Tab ID used for the page-context sitemap fallback (optional).
+ * @param {Object} settings - {maxPages, maxDepth, concurrency, include, exclude, respectRobots};
+ *   include/exclude are path patterns (see matchesPathPattern), as an array or one per line/comma.
+ * @returns {Object} Initial crawl status.
+ * @throws {Error} When a crawl is already running or the URL is not http(s).
+ */
+function startCrawl(startUrl, tabId, settings = {}) {
+  if (crawlState && crawlState.status === "running") throw new Error("Ya hay un rastreo en curso");
+  const origin = getSiteOrigin(startUrl);
+  if (!origin || !/^https?:/.test(origin)) throw new Error("URL no válida");
 
-  // Export non-indexed URLs as sitemap <url> blocks
-  if (request.action === "exportNonIndexed") {
-    const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
-    const text = exportNonIndexedUrls(tabId, request.lastmod);
-    sendResponse({ success: true, exportText: text });
+  const clamp = (value, min, max, fallback) => {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) && number >= min ? Math.min(number, max) : fallback;
+  };
+  const toPatterns = (value) =>
+    (Array.isArray(value) ? value : String(value || "").split(/[\n,]/))
+      .map((pattern) => pattern.trim())
+      .filter(Boolean);
 
-    return false; // response sent synchronously
-  }
+  const cleanStartUrl = removeUrlParameters(startUrl);
+  crawlState = {
+    startUrl: cleanStartUrl,
+    origin,
+    tabId: tabId || null,
+    settings: {
+      maxPages: clamp(settings.maxPages, 1, MAX_CRAWL_PAGES, 200),
+      maxDepth: clamp(settings.maxDepth, 0, MAX_CRAWL_DEPTH, 3),
+      concurrency: clamp(settings.concurrency, 1, MAX_CRAWL_CONCURRENCY, 3),
+      include: toPatterns(settings.include),
+      exclude: toPatterns(settings.exclude),
+      respectRobots: settings.respectRobots !== false,
+    },
+    status: "running",
+    message: "",
+    startedAt: Date.now(),
+    finishedAt: null,
+    queue: [{ url: cleanStartUrl, depth: 0 }],
+    inFlight: [],
+    crawled: [],
+    robotsRules: null,
+    pagesCrawled: 0,
+    linksFound: 0,
+    errors: 0,
+    robotsBlocked: 0,
+    missing: [],
+  };
+  runCrawl();
+  return getCrawlStatus();
+}
 
-  if (request.action === "checkSitemap") {
-    processSitemapRequest(request.url, request.tabId).then((result) => {
-      // Delegate badge updates to the helper so behavior is consistent
-      const tabId = request.tabId || (sender && sender.tab && sender.tab.id);
-      updateBadgeFromResult(result, tabId);
-      // Include current non-indexed list for the tab so popup can display it
-      result.nonIndexedUrls = getNonIndexedList(tabId);
-      sendResponse(result);
-    });
+// Resume a crawl interrupted by a service worker restart
+(async () => {
+  const stored = await idbGet(CRAWL_STORE, CRAWL_STATE_ID);
+  if (crawlState || !stored) return;
+  crawlState = stored;
+  if (crawlState.status === "running") runCrawl();
+})().catch(() => {});
 
-    return true; // Indicate that we will send a response asynchronously
-  }
-});
+// --- Health audit ---
+// Requests every URL listed in the site's sitemaps (HEAD, falling back to GET) and records the
+// status, redirect target and response time. One audit runs at a time; audits are stored in
+// IndexedDB per origin so they can be paused, resumed and reviewed later.
+const DEFAULT_AUDIT_CONCURRENCY = 4;
+const MAX_AUDIT_CONCURRENCY = 10;
+const DEFAULT_AUDIT_REQUESTS_PER_SECOND = 5;
+const MAX_AUDIT_REQUESTS_PER_SECOND = 20;
+const AUDIT_SAVE_INTERVAL_MS = 2000;
+const ACTIVE_AUDIT_STORAGE_KEY = "activeAudit"; // origin of the running audit, for restarts
+/** @type {Object|null} */
+let activeAudit = null; // audit record being run
+let auditStarting = false; // startAudit is loading the sitemaps
+let auditPauseRequested = false;
+let lastAuditSave = 0;
 
-// --- Automatic badge update helpers and listeners ---
-// Keep track of last-processed URL per tab to avoid redundant work
-const lastProcessedUrlByTab = new Map();
+/**
+ * Persist an audit record (throttled unless `force` is set).
+ *
+ * @param {Object} audit - Audit record.
+ * @param {boolean} [force] - Write even if the last write was recent.
+ * @returns {Promise<void>}
+ */
+async function saveAudit(audit, force) {
+  const now = Date.now();
+  if (!force && now - lastAuditSave < AUDIT_SAVE_INTERVAL_MS) return;
+  lastAuditSave = now;
+  await idbPut(AUDIT_STORE, audit);
+}
 
-// Keep track of non-indexed URLs per tab (tabId -> Set of URLs)
-const nonIndexedByTab = new Map();
+/**
+ * Progress summary of an audit (without the URL list and results).
+ *
+ * @param {Object|null} audit - Audit record.
+ * @returns {Object|null} Summary with counts per group.
+ */
+function summarizeAudit(audit) {
+  if (!audit) return null;
+  const { urls, results, ...summary } = audit;
+  const counts = { broken: 0, redirected: 0, ok: 0 };
+  for (const result of results) counts[result.group]++;
+  return { ...summary, total: urls.length, checked: results.length, counts };
+}
 
 /**
- * Remove query parameters and fragments from a URL.
+ * Request one URL and classify the response. HEAD is tried first; servers that reject it or
+ * answer with an error are asked again with GET (whose body is not downloaded).
  *
- * @param {string} url - The URL to clean.
- * @returns {string} URL without query parameters or fragments.
+ * @param {string} url - URL to check.
+ * @returns {Promise<{url: string, status: number, redirect: string, timeMs: number, method: string,
+ *   group: string, error: string}>} Check result; `group` is "broken", "redirected" or "ok".
  */
-function removeUrlParameters(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.origin + urlObj.pathname;
-  } catch (e) {
-    // Fallback: simple string split if URL parsing fails
-    return url.split("?")[0].split("#")[0];
-  }
+async function checkUrlHealth(url) {
+  const attempt = async (method) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
+    const startedAt = Date.now();
+    try {
+      const response = await fetch(url, { method, signal: controller.signal, cache: "no-store" });
+      const timeMs = Date.now() - startedAt;
+      if (response.body) response.body.cancel().catch(() => {});
+      return {
+        status: response.status,
+        redirect: response.redirected ? response.url : "",
+        timeMs,
+        method,
+        error: "",
+      };
+    } catch (error) {
+      const timedOut = error && error.name === "AbortError";
+      return { status: 0, redirect: "", timeMs: Date.now() - startedAt, method, error: timedOut ? "Timeout" : error.message };
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  let result = await attempt("HEAD");
+  if (result.status === 0 || result.status >= 400) result = await attempt("GET");
+
+  let group = "ok";
+  if (result.status === 0 || result.status >= 400) group = "broken";
+  else if (result.redirect) group = "redirected";
+  return { url, ...result, group };
 }
 
 /**
- * Add a non‑indexed URL to the tracking set for a given tab and update the badge.
+ * Run (or resume) an audit until every URL was checked or a pause is requested.
  *
- * @param {number} tabId - The ID of the tab.
- * @param {string} url - The URL to add.
- * @returns {void}
+ * @param {Object} audit - Audit record.
+ * @returns {Promise<void>}
  */
-function addNonIndexedUrl(tabId, url) {
-  try {
-    if (!tabId || !url) return;
-    // Remove query parameters and fragments before storing
-    const cleanUrl = removeUrlParameters(url);
+async function runAudit(audit) {
+  activeAudit = audit;
+  auditPauseRequested = false;
+  audit.status = "running";
+  await saveAudit(audit, true);
+  await chrome.storage.local.set({ [ACTIVE_AUDIT_STORAGE_KEY]: audit.origin });
 
-    let set = nonIndexedByTab.get(tabId);
-    if (!set) {
-      set = new Set();
-      nonIndexedByTab.set(tabId, set);
+  // Rate limit: requests start at least 1000 / requestsPerSecond ms apart
+  const spacing = 1000 / audit.settings.requestsPerSecond;
+  let nextSlot = Date.now();
+  let nextIndex = audit.results.length;
+  const pending = new Map(); // index -> result, so results are stored in URL order
+  const worker = async () => {
+    while (!auditPauseRequested && nextIndex < audit.urls.length) {
+      const index = nextIndex++;
+      const wait = nextSlot - Date.now();
+      nextSlot = Math.max(nextSlot, Date.now()) + spacing;
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      pending.set(index, await checkUrlHealth(audit.urls[index]));
+      while (pending.has(audit.results.length)) {
+        const done = audit.results.length;
+        audit.results.push(pending.get(done));
+        pending.delete(done);
+      }
+      await saveAudit(audit);
     }
-    set.add(cleanUrl);
+  };
 
-    const count = set.size;
-    updateBadge(tabId, count);
-  } catch (e) {
-    console.error("Error adding non-indexed URL:", e);
+  try {
+    await Promise.all(Array.from({ length: audit.settings.concurrency }, worker));
+    audit.status = audit.results.length >= audit.urls.length ? "done" : "paused";
+    if (audit.status === "done") audit.finishedAt = Date.now();
+  } catch (error) {
+    audit.status = "error";
+    audit.message = error.message;
   }
+  await saveAudit(audit, true);
+  await chrome.storage.local.remove(ACTIVE_AUDIT_STORAGE_KEY);
+  if (activeAudit === audit) activeAudit = null;
 }
 
 /**
- * Remove a non‑indexed URL from the tracking set for a given tab and update the badge.
+ * Start a new audit of every URL in the sitemaps of a page's site.
  *
- * @param {number} tabId - The ID of the tab.
- * @param {string} url - The URL to remove.
- * @returns {void}
+ * @param {string} pageUrl - Any URL of the site.
+ * @param {number} tabId - Tab ID used for the page-context sitemap fallback (optional).
+ * @param {{concurrency?: number, requestsPerSecond?: number}} [settings] - Request limits.
+ * @returns {Promise<Object>} Summary of the started audit.
+ * @throws {Error} When an audit is already running or the sitemap cannot be read.
  */
-function removeNonIndexedUrl(tabId, url) {
+async function startAudit(pageUrl, tabId, settings = {}) {
+  if (activeAudit || auditStarting) throw new Error("Ya hay una auditoría en curso");
+  // Claim the slot before loading the sitemaps so a second click cannot start another audit
+  auditStarting = true;
+  let sitemapData;
   try {
-    if (!tabId) return;
-    const set = nonIndexedByTab.get(tabId);
-    if (!set) return;
-    // Clean URL parameters before removing
-    if (url) set.delete(removeUrlParameters(url));
-
-    if (set.size === 0) {
-      nonIndexedByTab.delete(tabId);
-      updateBadge(tabId, 0);
-    } else {
-      updateBadge(tabId, set.size);
-    }
-  } catch (error) {
-    console.error("Error removing non-indexed URL:", error);
+    sitemapData = await loadSiteSitemaps(pageUrl, tabId);
+  } finally {
+    auditStarting = false;
   }
+  if (!sitemapData.success) throw new Error(sitemapData.error);
+
+  const clamp = (value, max, fallback) => {
+    const number = Number(value);
+    return number > 0 ? Math.min(number, max) : fallback;
+  };
+  const audit = {
+    origin: getSiteOrigin(pageUrl),
+    status: "running",
+    message: "",
+    startedAt: Date.now(),
+    finishedAt: null,
+    settings: {
+      concurrency: Math.round(clamp(settings.concurrency, MAX_AUDIT_CONCURRENCY, DEFAULT_AUDIT_CONCURRENCY)),
+      requestsPerSecond: clamp(settings.requestsPerSecond, MAX_AUDIT_REQUESTS_PER_SECOND, DEFAULT_AUDIT_REQUESTS_PER_SECOND),
+    },
+    urls: Array.from(new Set(sitemapData.urls.map((item) => item.loc))),
+    results: [],
+  };
+  runAudit(audit);
+  return summarizeAudit(audit);
 }
 
 /**
- * Get the list of non‑indexed URLs for a given tab.
+ * Resume a paused (or interrupted) audit of a site.
  *
- * @param {number} tabId - The ID of the tab.
- * @returns {Array<string>} The list of non‑indexed URLs.
+ * @param {string} pageUrl - Any URL of the site.
+ * @returns {Promise<Object>} Summary of the resumed audit.
+ * @throws {Error} When another audit is running or there is nothing to resume.
  */
-function getNonIndexedList(tabId) {
-  const set = nonIndexedByTab.get(tabId);
-  return set ? Array.from(set) : [];
+async function resumeAudit(pageUrl) {
+  if (activeAudit || auditStarting) throw new Error("Ya hay una auditoría en curso");
+  const audit = await idbGet(AUDIT_STORE, getSiteOrigin(pageUrl));
+  if (!audit || audit.results.length >= audit.urls.length) throw new Error("No hay ninguna auditoría que reanudar");
+  runAudit(audit);
+  return summarizeAudit(audit);
 }
 
 /**
- * Export non‑indexed URLs for a tab as sitemap <url> blocks.
+ * Current audit of a site: the running one when it belongs to the site, else the stored one.
  *
- * @param {number} tabId - The tab id whose non‑indexed list to export.
- * @param {string} lastmodInput - Optional date string (e.g., YYYY‑MM‑DD). If invalid, today's date is used.
- * @returns {string} XML fragment containing <url> entries (no wrapper).
+ * @param {string} pageUrl - Any URL of the site.
+ * @returns {Promise<Object|null>} Audit record, or null when the site was never audited.
  */
-function exportNonIndexedUrls(tabId, lastmodInput) {
-  const set = nonIndexedByTab.get(tabId);
-  if (!set || set.size === 0) return "";
+async function getSiteAudit(pageUrl) {
+  const origin = getSiteOrigin(pageUrl);
+  if (activeAudit && activeAudit.origin === origin) return activeAudit;
+  return (await idbGet(AUDIT_STORE, origin)) || null;
+}
 
-  // Helper to produce timestamp like: 2025-05-13T22:21:07+00:00
-  function formatWithOffset(d) {
-    // Use UTC time and append +00:00
-    // Remove milliseconds and trailing Z
-    return d.toISOString().replace(/\.\d{3}Z$/, "+00:00");
+// Resume an audit interrupted by a service worker restart
+(async () => {
+  try {
+    const stored = await chrome.storage.local.get(ACTIVE_AUDIT_STORAGE_KEY);
+    const origin = stored && stored[ACTIVE_AUDIT_STORAGE_KEY];
+    if (!origin) return;
+    const interrupted = await idbGet(AUDIT_STORE, origin);
+    if (interrupted && interrupted.status === "running" && !activeAudit) runAudit(interrupted);
+  } catch (_) {
+    // nothing to resume when storage is unavailable
   }
+})();
 
-  let lastmodTimestamp = null;
-  if (lastmodInput) {
-    const parsed = new Date(lastmodInput);
-    if (!isNaN(parsed.getTime())) {
-      lastmodTimestamp = formatWithOffset(parsed);
+// --- Bulk URL check ---
+
+const MAX_BULK_CHECK_URLS = 10000;
+
+/**
+ * Check a list of URLs (e.g. from a client's spreadsheet) against the sitemaps of their hosts,
+ * using the same matching rules as the popup. Each host's sitemaps are loaded once.
+ *
+ * @param {Array<string>} urls - URLs to check (duplicates and blank lines are dropped).
+ * @param {{url?: string, tabId?: number}} [context] - Current tab; its tab ID is only used for the
+ *   page-context fallback of URLs on the tab's own host.
+ * @returns {Promise<Array<{url: string, host: string, status: string, loc: string, lastmod: string,
+ *   source: string, error: string, errorCode: string}>>} One result per URL, in input order.
+ *   `status` is "found", "missing", "no-sitemap" or "error".
+ */
+async function bulkCheckUrls(urls, context = {}) {
+  await matchProfilesReady;
+  let tabHost = "";
+  try {
+    tabHost = new URL(context.url).hostname;
+  } catch (_) {
+    // no current tab: never use the page-context fallback
+  }
+
+  const unique = Array.from(new Set(urls.map((url) => String(url).trim()).filter(Boolean)));
+  const results = unique.slice(0, MAX_BULK_CHECK_URLS).map((url) => {
+    const result = { url, host: "", status: "error", loc: "", lastmod: "", source: "", error: "", errorCode: "" };
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== "http:" && parsed.protocol !== "https:") throw new Error();
+      result.host = parsed.hostname;
+    } catch (_) {
+      result.error = "URL no válida";
     }
+    return result;
+  });
+
+  const byHost = new Map();
+  for (const result of results) {
+    if (!result.host) continue;
+    if (!byHost.has(result.host)) byHost.set(result.host, []);
+    byHost.get(result.host).push(result);
   }
-  if (!lastmodTimestamp) lastmodTimestamp = formatWithOffset(new Date());
 
-  const urls = Array.from(set);
-  const entries = urls
-    .map((urlString) => {
-      return [
-        "    <url>",
-        `      <loc>${urlString}</loc>`,
-        `      <lastmod>${lastmodTimestamp}</lastmod>`,
-        "    </url>",
-      ].join("\n");
-    })
-    .join("\n");
+  for (const [host, hostResults] of byHost) {
+    let sitemapData;
+    try {
+      sitemapData = await loadSiteSitemaps(hostResults[0].url, host === tabHost ? context.tabId : undefined);
+    } catch (e) {
+      sitemapData = sitemapFailure("UNKNOWN", e && e.message ? e.message : String(e));
+    }
+    for (const result of hostResults) {
+      if (!sitemapData.success) {
+        result.status = sitemapData.noSitemap ? "no-sitemap" : "error";
+        result.error = sitemapData.error || "";
+        result.errorCode = sitemapData.errorCode || "UNKNOWN";
+        continue;
+      }
+      const entry = isUrlInSitemap(result.url, sitemapData);
+      result.status = entry ? "found" : "missing";
+      if (entry) {
+        result.loc = entry.loc;
+        result.lastmod = entry.lastmod || "";
+        result.source = entry.source || "";
+      }
+    }
+  }
+  return results;
+}
 
-  return entries;
+// --- Context menus ---
+// Right-click entries that check a link (or the page) without navigating to it. Results are
+// shown as notifications; clicking one opens the popup as a page for that URL.
+const CONTEXT_MENU_CHECK = "check-url";
+const CONTEXT_MENU_ADD = "add-non-indexed";
+const CONTEXT_MENU_DETAILS = "open-details";
+const CHECK_NOTIFICATION_PREFIX = "check:";
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: CONTEXT_MENU_CHECK, title: "Comprobar en el sitemap", contexts: ["link", "page"] });
+    chrome.contextMenus.create({ id: CONTEXT_MENU_ADD, title: "Añadir a la lista de no indexadas", contexts: ["link", "page"] });
+    chrome.contextMenus.create({ id: CONTEXT_MENU_DETAILS, title: "Ver detalles en el sitemap", contexts: ["link", "page"] });
+  });
+});
+
+/**
+ * Popup opened as a page for a given URL.
+ *
+ * @param {string} url - URL to show.
+ * @returns {string} Extension URL of the popup deep link.
+ */
+function getPopupDeepLink(url) {
+  return chrome.runtime.getURL(`popup.html?url=${encodeURIComponent(url)}`);
 }
 
 /**
- * Update badge and non‑indexed list based on a result from processing a sitemap request.
+ * Show the outcome of a context menu action as a notification that opens the details.
  *
- * @param {any} result - Result object from processSitemapRequest.
- * @param {number} tabId - Tab ID to update.
+ * @param {string} url - Checked URL.
+ * @param {string} title - Notification title.
+ * @param {string} message - Notification body.
  * @returns {void}
  */
-function updateBadgeFromResult(result, tabId) {
+function notifyUrlCheck(url, title, message) {
   try {
-    // If URL is not found in the sitemap, add it to the non-indexed set for the tab
-    if (
-      tabId != null &&
-      !result.hasError &&
-      result.status === "success" &&
-      result.urlFound === false
-    ) {
-      addNonIndexedUrl(tabId, result.currentUrl);
-
-      // Nothing else to do here (badge updated by addNonIndexedUrl)
-    } else if (
-      tabId != null &&
-      !result.hasError &&
-      result.status === "success" &&
-      result.urlFound === true
-    ) {
-      // If URL is found in sitemap, ensure it's removed from the non-indexed set
-      removeNonIndexedUrl(tabId, result.currentUrl);
-    } else if (tabId != null) {
-      // For other cases (errors or unknown), keep existing non-indexed list but
-      // clear badge if no entries remain
-      const count = nonIndexedByTab.get(tabId)
-        ? nonIndexedByTab.get(tabId).size
-        : 0;
-      updateBadge(tabId, count);
-    }
+    chrome.notifications.create(`${CHECK_NOTIFICATION_PREFIX}${Date.now()}:${url}`, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("images/icon-128.png"),
+      title,
+      message,
+    });
   } catch (error) {
-    console.error("Error setting badge:", error);
+    console.error("Error showing notification:", error);
   }
 }
 
 /**
- * When a tab's URL changes or finishes loading, process it and update badge state.
+ * Check a URL picked from the context menu with the same logic as the popup, and notify.
+ * The tab is only used (page-context fallback, indexability) when the URL is on its site.
  *
- * @param {number} tabId - Tab ID.
- * @param {string} url - Tab URL.
+ * @param {string} url - Link or page URL.
+ * @param {chrome.tabs.Tab} [tab] - Tab the menu was opened in.
  * @returns {Promise<void>}
  */
-async function checkTabAndUpdate(tabId, url) {
-  if (!url || !/^https?:\/\//i.test(url)) return;
-
-  const last = lastProcessedUrlByTab.get(tabId);
-  if (last === url) return; // no change
-  lastProcessedUrlByTab.set(tabId, url);
-
-  try {
-    const result = await processSitemapRequest(url, tabId);
-    updateBadgeFromResult(result, tabId);
-  } catch (e) {
-    console.error("Error processing sitemap for tab:", e);
+async function checkUrlFromContextMenu(url, tab) {
+  const sameSite = tab && tab.url && getSiteOrigin(tab.url) === getSiteOrigin(url);
+  const result = await processSitemapRequest(url, sameSite ? tab.id : undefined);
+  if (result.hasError) {
+    notifyUrlCheck(url, "No se pudo comprobar", `${url}\n${result.message}`);
+    return;
+  }
+  if (!result.urlFound) {
+    notifyUrlCheck(url, "✗ No está en el sitemap", url);
+    return;
   }
+  const details = [url];
+  if (result.urlDetails.lastmod) details.push(`lastmod: ${result.urlDetails.lastmod}`);
+  if (result.urlDetails.source) details.push(`En ${result.urlDetails.source}`);
+  const conflicts = result.indexability ? result.indexability.conflicts : [];
+  const title = conflicts.length > 0 ? `⚠ En el sitemap: ${conflicts[0].message}` : "✓ En el sitemap";
+  notifyUrlCheck(url, title, details.join("\n"));
 }
 
-// When a tab completes loading (or its URL changes), run the check
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // If the URL changed or the load completed, check sitemap
-  if (changeInfo.url) {
-    checkTabAndUpdate(tabId, changeInfo.url);
-  } else if (changeInfo.status === "complete") {
-    const url = (tab && tab.url) || null;
-    checkTabAndUpdate(tabId, url);
+/**
+ * Add a URL picked from the context menu to its site's non-indexed list, unless the sitemap
+ * already lists it, and notify.
+ *
+ * @param {string} url - Link or page URL.
+ * @param {string} pageUrl - Page the menu was opened in.
+ * @returns {Promise<void>}
+ */
+async function addUrlFromContextMenu(url, pageUrl) {
+  const result = await processSitemapRequest(url);
+  if (!result.hasError && result.urlFound) {
+    notifyUrlCheck(url, "Ya está en el sitemap", `${url}\nNo se añadió a la lista de no indexadas`);
+    return;
   }
-});
+  await addNonIndexedUrls([url], { sourcePage: pageUrl, detectedBy: "manual" });
+  const count = (await getNonIndexedList(url)).length;
+  notifyUrlCheck(url, "Añadida a la lista de no indexadas", `${url}\n${count} URLs en la lista del sitio`);
+}
 
-// When switching active tabs, check the newly active tab
-chrome.tabs.onActivated.addListener((activeInfo) => {
-  chrome.tabs.get(activeInfo.tabId, (tab) => {
-    if (chrome.runtime.lastError || !tab) return;
-    checkTabAndUpdate(activeInfo.tabId, tab.url);
-  });
-});
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const url = info.linkUrl || info.pageUrl;
+  if (!url || !/^https?:\/\//i.test(url)) return;
 
-// Clean up when a tab is closed
-chrome.tabs.onRemoved.addListener((tabId) => {
-  lastProcessedUrlByTab.delete(tabId);
-  nonIndexedByTab.delete(tabId);
-  lastBadgeCount.delete(tabId);
-  try {
-    updateBadge(tabId, 0);
-  } catch (error) {
-    // Ignore errors
+  if (info.menuItemId === CONTEXT_MENU_CHECK) {
+    checkUrlFromContextMenu(url, tab).catch((error) => console.error("Error checking URL:", error));
+  } else if (info.menuItemId === CONTEXT_MENU_ADD) {
+    addUrlFromContextMenu(url, info.pageUrl).catch((error) => console.error("Error adding non-indexed URL:", error));
+  } else if (info.menuItemId === CONTEXT_MENU_DETAILS) {
+    chrome.tabs.create({ url: getPopupDeepLink(url) });
   }
 });
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(CHECK_NOTIFICATION_PREFIX)) return;
+  const url = notificationId.slice(CHECK_NOTIFICATION_PREFIX.length).replace(/^\d+:/, "");
+  chrome.tabs.create({ url: getPopupDeepLink(url) });
+  chrome.notifications.clear(notificationId);
+});
@@ -0,0 +1,248 @@
+// Link highlighter: marks same-site links that are not in the sitemap while the
+// "highlightLinks" flag is on. Links rendered later by single-page apps are picked up with a
+// MutationObserver, and the page is re-scanned after client-side navigations (reported by the
+// background from webNavigation.onHistoryStateUpdated).
+(() => {
+  // The popup also injects this file into tabs opened before the extension was installed
+  if (window.__sitemapDetectorHighlighter) return;
+  window.__sitemapDetectorHighlighter = true;
+
+  const WARNING_COLOR = "#f44336"; // Red color used for non-indexed dot
+  const STYLE_ID = "sitemap-detector-link-warning-style";
+  const CLASS_NAME = "sitemap-detector-warning-link";
+  const TOOLTIP_ID = "sitemap-detector-link-tooltip";
+  const SCAN_DELAY_MS = 300; // batch DOM changes before asking the background
+  const MAX_URLS_PER_REQUEST = 500;
+
+  // Link URL (without fragment) -> tooltip text when missing from the sitemap, "" when listed
+  let classified = new Map();
+  let pendingAnchors = new Set();
+  let scanTimer = 0;
+  let observer = null;
+  let enabled = false;
+
+  /**
+   * URL of a link without its fragment, or "" for non-http(s) links.
+   *
+   * @param {HTMLAnchorElement} anchor - Link element.
+   * @returns {string} Link URL.
+   */
+  function getLinkUrl(anchor) {
+    const href = anchor.href;
+    return typeof href === "string" && /^https?:/i.test(href) ? href.split("#")[0] : "";
+  }
+
+  /**
+   * Add the dot style once per document.
+   *
+   * @returns {void}
+   */
+  function ensureStyle() {
+    if (document.getElementById(STYLE_ID)) return;
+    const style = document.createElement("style");
+    style.id = STYLE_ID;
+    style.textContent = `
+      .${CLASS_NAME} { position: relative !important; }
+      .${CLASS_NAME}::after {
+        content: "";
+        display: inline-block;
+        width: 8px;
+        height: 8px;
+        margin-left: 6px;
+        background: ${WARNING_COLOR};
+        border-radius: 50%;
+        vertical-align: middle;
+        aspect-ratio: 1;
+      }
+      #${TOOLTIP_ID} {
+        position: fixed;
+        z-index: 2147483647;
+        max-width: 360px;
+        padding: 6px 8px;
+        border-radius: 4px;
+        background: #212121;
+        color: #fff;
+        font: 12px/1.4 system-ui, sans-serif;
+        white-space: pre-line;
+        word-break: break-all;
+        pointer-events: none;
+      }
+    `;
+    document.documentElement.appendChild(style);
+  }
+
+  /**
+   * Mark or unmark a link according to its classification.
+   *
+   * @param {HTMLAnchorElement} anchor - Link element.
+   * @returns {void}
+   */
+  function applyMark(anchor) {
+    const reason = classified.get(getLinkUrl(anchor));
+    anchor.classList.toggle(CLASS_NAME, !!reason);
+  }
+
+  /**
+   * Classify the links queued since the last scan: URLs not seen yet are sent to the
+   * background in batches, and every queued link is (un)marked with the result.
+   *
+   * @returns {Promise<void>}
+   */
+  async function scanPendingAnchors() {
+    scanTimer = 0;
+    const anchors = Array.from(pendingAnchors).filter((anchor) => anchor.isConnected);
+    pendingAnchors = new Set();
+
+    const unknown = new Set();
+    for (const anchor of anchors) {
+      const url = getLinkUrl(anchor);
+      if (url && !classified.has(url)) unknown.add(url);
+    }
+
+    const urls = Array.from(unknown);
+    const pageUrl = location.href;
+    const generation = classified;
+    for (let start = 0; start < urls.length; start += MAX_URLS_PER_REQUEST) {
+      const batch = urls.slice(start, start + MAX_URLS_PER_REQUEST);
+      let resp;
+      try {
+        resp = await chrome.runtime.sendMessage({ action: "classifyUrls", url: pageUrl, urls: batch });
+      } catch (_) {
+        return; // extension reloaded or background unavailable
+      }
+      if (!enabled || generation !== classified) return; // turned off or reset meanwhile
+      if (!resp || !resp.success) return; // no sitemap: nothing to highlight
+
+      const missing = new Set(resp.missing || []);
+      const matchedAs = resp.matchedAs || {};
+      for (const url of batch) {
+        if (!missing.has(url)) {
+          classified.set(url, "");
+          continue;
+        }
+        let reason = `No está en el ${resp.draft ? "sitemap borrador" : "sitemap"} del sitio`;
+        if (matchedAs[url] && matchedAs[url] !== url) reason += `\nSe buscó como: ${matchedAs[url]}`;
+        classified.set(url, reason);
+      }
+      if (missing.size > 0 && !resp.draft) {
+        // Keep the site's non-indexed list in sync with what is highlighted (the list tracks the
+        // published sitemap, so links missing from a draft are not recorded)
+        chrome.runtime.sendMessage({ action: "addNonIndexedBulk", url: pageUrl, urls: Array.from(missing) }).catch(() => {});
+      }
+    }
+
+    for (const anchor of anchors) applyMark(anchor);
+  }
+
+  /**
+   * Queue links (or the links inside a subtree) for classification.
+   *
+   * @param {Node} node - Added node, or the document for a full scan.
+   * @returns {void}
+   */
+  function queueLinks(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_NODE) return;
+    if (node.matches && node.matches("a[href]")) pendingAnchors.add(node);
+    for (const anchor of node.querySelectorAll("a[href]")) pendingAnchors.add(anchor);
+    if (!scanTimer) scanTimer = setTimeout(scanPendingAnchors, SCAN_DELAY_MS);
+  }
+
+  /**
+   * Position and fill the tooltip of a flagged link.
+   *
+   * @param {MouseEvent} event - Mouse event over the page.
+   * @returns {void}
+   */
+  function handleMouseOver(event) {
+    const anchor = event.target instanceof Element ? event.target.closest(`a.${CLASS_NAME}`) : null;
+    let tooltip = document.getElementById(TOOLTIP_ID);
+    if (!anchor) {
+      if (tooltip) tooltip.remove();
+      return;
+    }
+    if (!tooltip) {
+      tooltip = document.createElement("div");
+      tooltip.id = TOOLTIP_ID;
+      tooltip.setAttribute("role", "tooltip");
+      document.documentElement.appendChild(tooltip);
+    }
+    tooltip.textContent = `Sitemap Detector: ${classified.get(getLinkUrl(anchor)) || ""}`;
+    const rect = anchor.getBoundingClientRect();
+    tooltip.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - 364))}px`;
+    tooltip.style.top = rect.bottom + 40 < window.innerHeight ? `${rect.bottom + 4}px` : `${Math.max(4, rect.top - 40)}px`;
+  }
+
+  /**
+   * Start highlighting: mark the current links and watch for new or changed ones.
+   *
+   * @returns {void}
+   */
+  function enable() {
+    if (enabled) return;
+    enabled = true;
+    ensureStyle();
+    observer = new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        if (mutation.type === "attributes") queueLinks(mutation.target);
+        else mutation.addedNodes.forEach(queueLinks);
+      }
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, attributeFilter: ["href"] });
+    document.addEventListener("mouseover", handleMouseOver, true);
+    queueLinks(document);
+  }
+
+  /**
+   * Stop highlighting and remove every trace from the page.
+   *
+   * @returns {void}
+   */
+  function disable() {
+    if (!enabled) return;
+    enabled = false;
+    if (observer) observer.disconnect();
+    observer = null;
+    clearTimeout(scanTimer);
+    scanTimer = 0;
+    pendingAnchors = new Set();
+    classified = new Map();
+    document.removeEventListener("mouseover", handleMouseOver, true);
+    for (const id of [STYLE_ID, TOOLTIP_ID]) {
+      const element = document.getElementById(id);
+      if (element) element.remove();
+    }
+    document.querySelectorAll(`.${CLASS_NAME}`).forEach((anchor) => anchor.classList.remove(CLASS_NAME));
+  }
+
+  /**
+   * Scan the whole page again. Relative links resolve to new URLs after a client-side
+   * navigation; when the sitemap or the matching rules changed, earlier results are dropped.
+   *
+   * @param {boolean} forget - Discard the links classified so far.
+   * @returns {void}
+   */
+  function rescan(forget) {
+    if (!enabled) return;
+    if (forget) classified = new Map();
+    queueLinks(document);
+  }
+
+  chrome.storage.local.get("highlightLinks").then(({ highlightLinks }) => {
+    if (highlightLinks) enable();
+  }).catch(() => {});
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+    if (changes.highlightLinks) {
+      if (changes.highlightLinks.newValue) enable();
+      else disable();
+    }
+    if (changes.matchProfiles) rescan(true);
+  });
+
+  chrome.runtime.onMessage.addListener((request) => {
+    if (!request) return;
+    if (request.action === "historyStateUpdated") rescan(false); // client-side navigation
+    if (request.action === "recheckLinks") rescan(true); // the site's draft sitemap changed
+  });
+})();
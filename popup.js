@@ -1,9 +1,6 @@
 // DOM Elements
-// Centralized constants for styling/class IDs used in injected scripts
-const WARNING_BORDER_COLOR = "#f44336"; // Red color used for non-indexed dot
-const LINK_WARNING_STYLE_ID = "sitemap-detector-link-warning-style";
-const LINK_WARNING_CLASS_NAME = "sitemap-detector-warning-link";
 const loadingDiv = document.getElementById("loading");
+const sidePanelBtn = document.getElementById("sidepanel-btn");
 const contentDiv = document.getElementById("content");
 const statusSection = document.getElementById("status-section");
 const statusBox = document.getElementById("status");
@@ -12,16 +9,123 @@ const sitemapInfo = document.getElementById("sitemap-info");
 const urlDetails = document.getElementById("url-details");
 const nonIndexedSection = document.getElementById("nonindexed-list");
 const nonIndexedContainer = document.getElementById("nonindexed-container");
+const nonIndexedWarning = document.getElementById("nonindexed-warning");
 const errorSection = document.getElementById("error-section");
 const errorBox = document.getElementById("error");
 const errorText = document.getElementById("error-text");
+const errorGuidance = document.getElementById("error-guidance");
+const errorDetails = document.getElementById("error-details");
+const errorActions = document.getElementById("error-actions");
 // Export controls
 const exportBtn = document.getElementById("export-btn");
 const exportResult = document.getElementById("export-result");
 const exportOutput = document.getElementById("export-output");
 const copyBtn = document.getElementById("copy-btn");
+const downloadBtn = document.getElementById("download-btn");
+const exportFormat = document.getElementById("export-format");
+const exportLastmod = document.getElementById("export-lastmod");
+const exportChangefreq = document.getElementById("export-changefreq");
+const exportPriority = document.getElementById("export-priority");
 // Addons controls
 const toggleHighlight = document.getElementById("toggle-highlight");
+const badgeModeSelect = document.getElementById("badge-mode");
+// Matching profile controls
+const profileHost = document.getElementById("profile-host");
+const profileKeepParams = document.getElementById("profile-keep-params");
+const profileTrailingSlash = document.getElementById("profile-trailing-slash");
+const profileHostAliases = document.getElementById("profile-host-aliases");
+const profileIgnoreScheme = document.getElementById("profile-ignore-scheme");
+const profileCaseInsensitive = document.getElementById("profile-case-insensitive");
+const profileDecode = document.getElementById("profile-decode");
+const profileSaveBtn = document.getElementById("profile-save-btn");
+// Monitoring controls
+const watchEnabled = document.getElementById("watch-enabled");
+const watchInterval = document.getElementById("watch-interval");
+const watchThreshold = document.getElementById("watch-threshold");
+const watchLastCheck = document.getElementById("watch-last-check");
+const watchSaveBtn = document.getElementById("watch-save-btn");
+const watchSummaryBtn = document.getElementById("watch-summary-btn");
+// Crawl controls
+const crawlMaxPages = document.getElementById("crawl-max-pages");
+const crawlMaxDepth = document.getElementById("crawl-max-depth");
+const crawlConcurrency = document.getElementById("crawl-concurrency");
+const crawlInclude = document.getElementById("crawl-include");
+const crawlExclude = document.getElementById("crawl-exclude");
+const crawlRespectRobots = document.getElementById("crawl-respect-robots");
+const crawlProgress = document.getElementById("crawl-progress");
+const crawlStartBtn = document.getElementById("crawl-start-btn");
+const crawlStopBtn = document.getElementById("crawl-stop-btn");
+const crawlExportBtn = document.getElementById("crawl-export-btn");
+// Cache controls
+const cacheAge = document.getElementById("cache-age");
+const refreshBtn = document.getElementById("refresh-btn");
+// Validation controls
+const validateBtn = document.getElementById("validate-btn");
+const validationResult = document.getElementById("validation-result");
+const validationSummary = document.getElementById("validation-summary");
+const validationGroups = document.getElementById("validation-groups");
+const validationExportCsv = document.getElementById("validation-export-csv");
+const validationExportJson = document.getElementById("validation-export-json");
+// Proposed sitemap controls
+const proposedBtn = document.getElementById("proposed-btn");
+const proposedResult = document.getElementById("proposed-result");
+const proposedLastmod = document.getElementById("proposed-lastmod");
+const proposedSummary = document.getElementById("proposed-summary");
+const proposedDownloadBtn = document.getElementById("proposed-download-btn");
+const removalBtn = document.getElementById("removal-btn");
+// Audit controls
+const auditBtn = document.getElementById("audit-btn");
+const auditResult = document.getElementById("audit-result");
+const auditConcurrency = document.getElementById("audit-concurrency");
+const auditRate = document.getElementById("audit-rate");
+const auditProgress = document.getElementById("audit-progress");
+const auditStartBtn = document.getElementById("audit-start-btn");
+const auditPauseBtn = document.getElementById("audit-pause-btn");
+const auditResumeBtn = document.getElementById("audit-resume-btn");
+const auditExportBtn = document.getElementById("audit-export-btn");
+const auditFilter = document.getElementById("audit-filter");
+const auditGroups = document.getElementById("audit-groups");
+// Draft sitemap controls
+const draftBanner = document.getElementById("draft-banner");
+const draftBannerText = document.getElementById("draft-banner-text");
+const draftBannerClearBtn = document.getElementById("draft-banner-clear-btn");
+const draftFile = document.getElementById("draft-file");
+const draftText = document.getElementById("draft-text");
+const draftStatus = document.getElementById("draft-status");
+const draftApplyBtn = document.getElementById("draft-apply-btn");
+const draftClearBtn = document.getElementById("draft-clear-btn");
+// Bulk check controls
+const bulkInput = document.getElementById("bulk-input");
+const bulkFile = document.getElementById("bulk-file");
+const bulkSummary = document.getElementById("bulk-summary");
+const bulkCheckBtn = document.getElementById("bulk-check-btn");
+const bulkExportBtn = document.getElementById("bulk-export-btn");
+const bulkGroups = document.getElementById("bulk-groups");
+// Sitemap browser controls
+const browseBtn = document.getElementById("browse-btn");
+const browseResult = document.getElementById("browse-result");
+const browseSearch = document.getElementById("browse-search");
+const browseRegex = document.getElementById("browse-regex");
+const browseSort = document.getElementById("browse-sort");
+const browseFrom = document.getElementById("browse-from");
+const browseTo = document.getElementById("browse-to");
+const browseSummary = document.getElementById("browse-summary");
+const browseTree = document.getElementById("browse-tree");
+const browseListContainer = document.getElementById("browse-list");
+// History controls
+const historyBtn = document.getElementById("history-btn");
+const historyResult = document.getElementById("history-result");
+const historyEmpty = document.getElementById("history-empty");
+const historyControls = document.getElementById("history-controls");
+const historySitemap = document.getElementById("history-sitemap");
+const historyFrom = document.getElementById("history-from");
+const historyTo = document.getElementById("history-to");
+const historyCompareBtn = document.getElementById("history-compare-btn");
+const historySummary = document.getElementById("history-summary");
+const historyDiff = document.getElementById("history-diff");
+const historyExport = document.getElementById("history-export");
+const historyExportCsv = document.getElementById("history-export-csv");
+const historyExportJson = document.getElementById("history-export-json");
 
 /**
  * Format a date string into a human‑readable Spanish string.
@@ -39,6 +143,313 @@ function formatDate(dateString) {
   });
 }
 
+/**
+ * Describe how long ago a sitemap was downloaded (e.g. "hace 5 min").
+ *
+ * @param {number} timestamp - Download time in milliseconds since the epoch.
+ * @returns {string} Human-readable Spanish age.
+ */
+function formatCacheAge(timestamp) {
+  if (!timestamp || !isFinite(timestamp)) return "sin datos";
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return "descargado hace unos segundos";
+  if (minutes < 60) return `descargado hace ${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `descargado hace ${hours} h`;
+  return `descargado hace ${Math.floor(hours / 24)} días`;
+}
+
+/**
+ * Get the last path segment of a sitemap URL (e.g. "post-sitemap3.xml").
+ *
+ * @param {string} sitemapUrl - Absolute sitemap URL.
+ * @returns {string} File name, or the input when it cannot be parsed.
+ */
+function getSitemapFileName(sitemapUrl) {
+  if (!sitemapUrl) return "";
+  try {
+    const segments = new URL(sitemapUrl).pathname.split("/").filter(Boolean);
+    return segments.length > 0 ? segments[segments.length - 1] : sitemapUrl;
+  } catch (_) {
+    return sitemapUrl;
+  }
+}
+
+// Human-readable labels for the sitemap discovery methods reported by the background
+const DISCOVERY_LABELS = {
+  robots: "robots.txt",
+  common: "ruta común",
+  draft: "borrador",
+};
+
+/**
+ * Render the discovered root sitemaps, each with the method that found it.
+ *
+ * @param {Object} result - The result object from the background script.
+ * @returns {void}
+ */
+function renderDiscoveredSitemaps(result) {
+  const sitemapUrlEl = document.getElementById("sitemap-url");
+  sitemapUrlEl.innerHTML = "";
+
+  const roots =
+    Array.isArray(result.discoveredSitemaps) && result.discoveredSitemaps.length > 0
+      ? result.discoveredSitemaps
+      : [{ loc: result.sitemapUrl, discovery: "" }];
+
+  const fragment = document.createDocumentFragment();
+  for (const root of roots) {
+    const line = document.createElement("span");
+    line.className = "discovered-sitemap";
+    line.textContent = root.loc;
+    if (root.discovery) {
+      const methodEl = document.createElement("span");
+      methodEl.className = "url-meta";
+      methodEl.textContent = ` (${DISCOVERY_LABELS[root.discovery] || root.discovery}${root.error ? ", con error" : ""})`;
+      line.appendChild(methodEl);
+    }
+    fragment.appendChild(line);
+  }
+  sitemapUrlEl.appendChild(fragment);
+}
+
+// Labels for hreflang reciprocity problems reported by the background
+const HREFLANG_PROBLEM_LABELS = {
+  missing: "no está en el sitemap",
+  "not-reciprocal": "no enlaza de vuelta",
+};
+
+/**
+ * Append a titled list of lines to a container (used for the URL extension groups).
+ *
+ * @param {HTMLElement} container - Parent element.
+ * @param {string} title - Group title.
+ * @param {Array<{text: string, warning?: string}>} lines - Lines to render.
+ * @returns {void}
+ */
+function appendExtensionGroup(container, title, lines) {
+  if (lines.length === 0) return;
+  const group = document.createElement("div");
+  group.className = "extension-group";
+  const titleEl = document.createElement("p");
+  const strongEl = document.createElement("strong");
+  strongEl.textContent = `${title} (${lines.length}):`;
+  titleEl.appendChild(strongEl);
+  group.appendChild(titleEl);
+
+  const list = document.createElement("ul");
+  for (const line of lines) {
+    const item = document.createElement("li");
+    item.textContent = line.text;
+    if (line.warning) {
+      const warningEl = document.createElement("span");
+      warningEl.className = "extension-warning";
+      warningEl.textContent = ` ⚠ ${line.warning}`;
+      item.appendChild(warningEl);
+    }
+    list.appendChild(item);
+  }
+  group.appendChild(list);
+  container.appendChild(group);
+}
+
+/**
+ * Render the image, video, news and hreflang data of the current URL's sitemap entry.
+ *
+ * @param {Object} details - Sitemap entry of the current URL.
+ * @param {Array<Object>} hreflangIssues - Reciprocity issues whose `from` is this entry.
+ * @returns {void}
+ */
+function renderUrlExtensions(details, hreflangIssues) {
+  const container = document.getElementById("url-extensions");
+  container.innerHTML = "";
+
+  appendExtensionGroup(
+    container,
+    "Imágenes",
+    (details.images || []).map((image) => ({
+      text: [image.loc, image.title || image.caption].filter(Boolean).join(" — "),
+    }))
+  );
+
+  appendExtensionGroup(
+    container,
+    "Vídeos",
+    (details.videos || []).map((video) => ({
+      text: [video.title, video.contentLoc || video.playerLoc, video.duration ? `${video.duration}s` : ""]
+        .filter(Boolean)
+        .join(" — "),
+    }))
+  );
+
+  if (details.news) {
+    const news = details.news;
+    appendExtensionGroup(container, "Noticia", [
+      {
+        text: [
+          news.title,
+          [news.publicationName, news.publicationLanguage].filter(Boolean).join(", "),
+          news.publicationDate ? formatDate(news.publicationDate) : "",
+        ]
+          .filter(Boolean)
+          .join(" — "),
+      },
+    ]);
+  }
+
+  appendExtensionGroup(
+    container,
+    "Versiones hreflang",
+    (details.alternates || []).map((alternate) => {
+      const issue = hreflangIssues.find((candidate) => candidate.to === alternate.href);
+      return {
+        text: `${alternate.hreflang}: ${alternate.href}`,
+        warning: issue ? HREFLANG_PROBLEM_LABELS[issue.problem] || issue.problem : "",
+      };
+    })
+  );
+}
+
+// Guidance and retry actions for each error code returned by the background. `text` may
+// depend on the error details; actions are "retry", "page-context", "raise-limit" and "draft".
+const ERROR_GUIDANCE = {
+  NO_SITEMAP: {
+    text: "Declara el sitemap en robots.txt (Sitemap: https://…/sitemap.xml) o publícalo en /sitemap.xml. Mientras tanto puedes probar un sitemap borrador.",
+    actions: ["draft", "retry"],
+  },
+  CORS_BLOCKED: {
+    text: "El navegador bloqueó la descarga desde la extensión (CORS), aunque la página sí llega al servidor. Desde la página se usa el origen y la sesión del sitio.",
+    actions: ["page-context", "retry"],
+  },
+  NETWORK: {
+    text: "No se pudo conectar con el servidor o la conexión se cortó durante la descarga. Comprueba tu conexión y vuelve a intentarlo.",
+    actions: ["retry", "page-context"],
+  },
+  TIMEOUT: {
+    text: (details) =>
+      `El servidor pasó más de ${Math.round(details.timeoutMs / 1000)} s sin enviar el sitemap: puede estar sobrecargado o generar el sitemap al vuelo.`,
+    actions: ["retry"],
+  },
+  HTTP_4XX: {
+    text: (details) => {
+      if (details.status === 404 || details.status === 410) {
+        return "El sitemap no existe en el servidor: revisa la URL declarada en robots.txt.";
+      }
+      if (details.status === 401 || details.status === 403) {
+        return "El servidor rechazó la descarga (acceso restringido o bloqueo de bots). Desde la página se usan tus cookies.";
+      }
+      return "El servidor rechazó la petición del sitemap.";
+    },
+    actions: ["page-context", "retry"],
+  },
+  HTTP_5XX: {
+    text: "Error del servidor del sitio. Suele ser temporal: vuelve a intentarlo más tarde.",
+    actions: ["retry"],
+  },
+  SIZE_LIMIT: {
+    text: (details) =>
+      `El sitemap supera el límite de ${details.limitMb || 50} MB. El protocolo admite hasta 50 MB por archivo: divídelo con un índice de sitemaps o aumenta el límite para este sitio.`,
+    actions: ["raise-limit"],
+  },
+  DECOMPRESSION: {
+    text: "El archivo comprimido está dañado o no es gzip. Comprueba que el servidor no lo comprima dos veces (Content-Encoding más .gz).",
+    actions: ["retry"],
+  },
+  XML_PARSE: {
+    text: "El XML del sitemap no es válido: revisa etiquetas sin cerrar y caracteres & sin escapar. Puedes probar una versión corregida como borrador.",
+    actions: ["retry", "draft"],
+  },
+  EMPTY_SITEMAP: {
+    text: "El sitemap no contiene ninguna entrada <url> ni <sitemap>.",
+    actions: ["retry", "draft"],
+  },
+  PAGE_CONTEXT_UNAVAILABLE: {
+    text: "No se pudo leer el sitemap desde la página (pestaña cerrada o página restringida). Abre una página del sitio y vuelve a intentarlo.",
+    actions: ["retry"],
+  },
+  UNKNOWN: {
+    text: "",
+    actions: ["retry"],
+  },
+};
+
+// Labels for the failure phases and fallbacks reported in the error details
+const ERROR_PHASE_LABELS = {
+  discovery: "descubrimiento",
+  fetch: "descarga",
+  parse: "lectura del XML",
+  "page-fetch": "descarga desde la página",
+  index: "índice de sitemaps",
+};
+const FALLBACK_LABELS = {
+  "page-context": "desde la página",
+  direct: "descarga directa",
+};
+
+/**
+ * Render the guidance, technical details and retry buttons of an error result.
+ *
+ * @param {Object} result - Error result from the background script.
+ * @returns {void}
+ */
+function renderErrorGuidance(result) {
+  const code = result.errorCode || "UNKNOWN";
+  const details = result.errorDetails || {};
+  const guidance = ERROR_GUIDANCE[code] || ERROR_GUIDANCE.UNKNOWN;
+  const attempted = details.attemptedFallbacks || [];
+
+  errorGuidance.textContent = typeof guidance.text === "function" ? guidance.text(details) : guidance.text;
+  errorGuidance.classList.toggle("hidden", !errorGuidance.textContent);
+
+  const parts = [code];
+  if (details.status) parts.push(`HTTP ${details.status}`);
+  if (details.phase) parts.push(`fase: ${ERROR_PHASE_LABELS[details.phase] || details.phase}`);
+  if (details.url) parts.push(details.url);
+  if (attempted.length > 0) {
+    let fallbacks = `también se intentó: ${attempted.map((name) => FALLBACK_LABELS[name] || name).join(", ")}`;
+    if (details.fallbackError) fallbacks += ` (${details.fallbackError.code})`;
+    parts.push(fallbacks);
+  }
+  errorDetails.textContent = parts.join(" · ");
+
+  errorActions.innerHTML = "";
+  const addAction = (label, onClick) => {
+    const button = document.createElement("button");
+    button.className = "btn btn-small";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    errorActions.appendChild(button);
+  };
+  for (const action of guidance.actions) {
+    if (action === "retry") {
+      addAction("Reintentar", () => retryStatus({}));
+    } else if (action === "page-context" && !attempted.includes("page-context")) {
+      addAction("Reintentar desde la página", () => retryStatus({ pageContextFirst: true }));
+    } else if (action === "raise-limit" && details.maxLimitMb && (details.limitMb || 0) < details.maxLimitMb) {
+      addAction(`Aumentar el límite a ${details.maxLimitMb} MB para este sitio`, () => {
+        chrome.runtime.sendMessage(
+          { action: "setSitemapSizeLimit", url: details.url || window._currentUrl, megabytes: details.maxLimitMb },
+          (resp) => {
+            if (!resp || !resp.success) {
+              alert(`No se pudo cambiar el límite: ${(resp && resp.error) || "error desconocido"}`);
+              return;
+            }
+            retryStatus({});
+          }
+        );
+      });
+    } else if (action === "draft") {
+      addAction("Probar un borrador", () => {
+        const draftSection = document.getElementById("draft-section");
+        if (!draftSection) return;
+        draftSection.open = true;
+        draftSection.scrollIntoView({ behavior: "smooth", block: "start" });
+      });
+    }
+  }
+  errorActions.classList.toggle("hidden", errorActions.childElementCount === 0);
+}
+
 /**
  * Render the status and info sections based on the background result.
  *
@@ -48,6 +459,7 @@ function formatDate(dateString) {
 function displayStatus(result) {
   contentDiv.classList.remove("hidden");
   loadingDiv.classList.add("hidden");
+  renderDraftIndicator(result.draft || null);
 
   if (result.hasError) {
     // Display error
@@ -58,6 +470,7 @@ function displayStatus(result) {
 
     errorText.textContent = result.message;
     errorBox.className = "error-box";
+    renderErrorGuidance(result);
   } else {
     // Display sitemap information
     errorSection.classList.add("hidden");
@@ -73,14 +486,39 @@ function displayStatus(result) {
       statusText.innerHTML =
         "<strong>✗ URL no encontrada en el sitemap</strong>";
     }
+    renderIndexability(result.indexability);
 
     // Display sitemap information
-    document.getElementById("sitemap-url").textContent = result.sitemapUrl;
+    renderDiscoveredSitemaps(result);
+    cacheAge.textContent = formatCacheAge(result.cachedAt);
+    cacheAge.title = result.cachedAt ? new Date(result.cachedAt).toLocaleString("es-ES") : "";
     document.getElementById("url-count").textContent = result.totalUrls;
     document.getElementById("last-mod").textContent = formatDate(
       result.lastModified
     );
 
+    // Sitemap indexes: show how many child sitemaps were read (and how many failed)
+    const childSitemapsRow = document.getElementById("child-sitemaps-row");
+    const childSitemaps = Array.isArray(result.childSitemaps) ? result.childSitemaps : [];
+    if (childSitemaps.length > 0) {
+      childSitemapsRow.classList.remove("hidden");
+      const failedChildren = childSitemaps.filter((doc) => doc.error).length;
+      let childText = `${childSitemaps.length - failedChildren} leídos`;
+      if (failedChildren > 0) childText += `, ${failedChildren} con error`;
+      document.getElementById("child-sitemaps").textContent = childText;
+    } else {
+      childSitemapsRow.classList.add("hidden");
+    }
+
+    // Site-wide hreflang reciprocity
+    const hreflangIssuesRow = document.getElementById("hreflang-issues-row");
+    if (result.hreflangIssueCount > 0) {
+      hreflangIssuesRow.classList.remove("hidden");
+      document.getElementById("hreflang-issues").textContent = result.hreflangIssueCount;
+    } else {
+      hreflangIssuesRow.classList.add("hidden");
+    }
+
     // If the URL was found, display details
     if (result.urlFound && result.urlDetails) {
       urlDetails.classList.remove("hidden");
@@ -89,86 +527,457 @@ function displayStatus(result) {
       document.getElementById("url-lastmod").textContent = formatDate(
         result.urlDetails.lastmod
       );
+      const sourceEl = document.getElementById("url-source");
+      sourceEl.textContent = getSitemapFileName(result.urlDetails.source || result.sitemapUrl);
+      sourceEl.title = result.urlDetails.source || result.sitemapUrl || "";
+      renderUrlExtensions(result.urlDetails, result.urlHreflangIssues || []);
+      window._currentEntryLoc = result.urlDetails.loc;
+      renderRemovalButton(!!result.urlMarkedForRemoval);
     } else {
       urlDetails.classList.add("hidden");
     }
 
     // Display accumulated non-indexed URLs (from background)
-    if (result.nonIndexedUrls && result.nonIndexedUrls.length > 0) {
-      nonIndexedSection.classList.remove("hidden");
-      displayNonIndexedList(result.nonIndexedUrls);
-    } else {
-      nonIndexedSection.classList.add("hidden");
-      if (nonIndexedContainer) nonIndexedContainer.innerHTML = "";
+    displayNonIndexedList(result.nonIndexedUrls || [], result.nonIndexedWarning);
+  }
+}
+
+// How each non-indexed URL was detected (entry.detectedBy)
+const DETECTED_BY_LABELS = {
+  visit: "Página visitada",
+  link: "Enlace",
+  crawl: "Rastreo",
+  manual: "Añadida a mano",
+};
+
+/**
+ * Describe where and when a non-indexed URL was first seen.
+ *
+ * @param {{firstSeen: number, sourcePage: string, detectedBy: string}} entry - Stored entry.
+ * @returns {string} Short Spanish description.
+ */
+function describeNonIndexedEntry(entry) {
+  const parts = [DETECTED_BY_LABELS[entry.detectedBy] || entry.detectedBy];
+  if (entry.detectedBy !== "visit" && entry.sourcePage) {
+    let sourcePath = entry.sourcePage;
+    try {
+      sourcePath = new URL(entry.sourcePage).pathname;
+    } catch (_) {
+      // keep the raw value
+    }
+    parts.push(`en ${sourcePath}`);
+  }
+  if (entry.firstSeen) parts.push(formatDate(entry.firstSeen));
+  return parts.join(" · ");
+}
+
+/**
+ * Show the page's robots directives and canonical URL, and turn the status box into a
+ * conflict state when they contradict the sitemap (e.g. listed but noindex).
+ *
+ * @param {Object|null} indexability - `indexability` from the checkSitemap result (null when the
+ *   page could not be inspected).
+ * @returns {void}
+ */
+function renderIndexability(indexability) {
+  const indexabilityBox = document.getElementById("indexability");
+  const conflictsList = document.getElementById("status-conflicts");
+  conflictsList.innerHTML = "";
+  if (!indexability) {
+    indexabilityBox.classList.add("hidden");
+    conflictsList.classList.add("hidden");
+    return;
+  }
+
+  indexabilityBox.classList.remove("hidden");
+  document.getElementById("meta-robots").textContent = indexability.metaRobots.join(", ") || "—";
+  document.getElementById("x-robots-tag").textContent = indexability.xRobotsTag.join(", ") || "—";
+  const canonicalEl = document.getElementById("canonical-url");
+  if (!indexability.canonical) {
+    canonicalEl.textContent = "—";
+  } else if (indexability.canonicalIsSelf) {
+    canonicalEl.textContent = "esta misma URL";
+  } else {
+    canonicalEl.textContent =
+      `${indexability.canonical} (${indexability.canonicalInSitemap ? "en el sitemap" : "no está en el sitemap"})`;
+  }
+
+  conflictsList.classList.toggle("hidden", indexability.conflicts.length === 0);
+  if (indexability.conflicts.length > 0) {
+    statusBox.className = "status-box conflict";
+    for (const conflict of indexability.conflicts) {
+      const item = document.createElement("li");
+      item.textContent = `⚠ ${conflict.message}`;
+      conflictsList.appendChild(item);
     }
+  } else if (indexability.noindex && !statusBox.classList.contains("found")) {
+    // Not listed and not meant to be indexed: that is the expected state
+    const item = document.createElement("li");
+    item.textContent = "La página tiene noindex, así que no debe estar en el sitemap";
+    conflictsList.appendChild(item);
+    conflictsList.classList.remove("hidden");
   }
 }
 
 /**
- * Render the list of non‑indexed URLs in the popup.
+ * Render a long list inside a scrollable container, creating elements only for the rows in
+ * view so tens of thousands of items scroll smoothly. Every row must have the same height.
+ *
+ * @param {HTMLElement} container - Scrollable element (e.g. a `.urls-list`).
+ * @param {number} rowHeight - Row height in pixels.
+ * @param {function(*, number): HTMLElement} renderRow - Builds the element of an item.
+ * @returns {{setItems: function(Array): void}} Handle used to replace the items.
+ */
+function createVirtualList(container, rowHeight, renderRow) {
+  const overscan = 8; // rows rendered above and below the visible ones
+  const spacer = document.createElement("div");
+  spacer.className = "virtual-list-spacer";
+  container.innerHTML = "";
+  container.classList.add("virtual-list");
+  container.appendChild(spacer);
+
+  let items = [];
+  let pendingFrame = 0;
+  const render = () => {
+    pendingFrame = 0;
+    const first = Math.max(0, Math.floor(container.scrollTop / rowHeight) - overscan);
+    const last = Math.min(items.length, first + Math.ceil((container.clientHeight || 300) / rowHeight) + overscan * 2);
+    const fragment = document.createDocumentFragment();
+    for (let index = first; index < last; index++) {
+      const row = renderRow(items[index], index);
+      row.classList.add("virtual-row");
+      row.style.top = `${index * rowHeight}px`;
+      row.style.height = `${rowHeight}px`;
+      fragment.appendChild(row);
+    }
+    spacer.replaceChildren(fragment);
+  };
+  container.addEventListener("scroll", () => {
+    if (!pendingFrame) pendingFrame = requestAnimationFrame(render);
+  });
+
+  return {
+    setItems(nextItems) {
+      items = nextItems;
+      spacer.style.height = `${items.length * rowHeight}px`;
+      render();
+    },
+  };
+}
+
+// Entries shown in the non-indexed list and its virtual list (created on first use)
+let nonIndexedEntries = [];
+let nonIndexedList = null;
+
+/**
+ * Build the row of a non‑indexed URL: link, detection details and delete button.
+ *
+ * @param {{url: string, firstSeen: number, sourcePage: string, detectedBy: string}} entry - Entry.
+ * @returns {HTMLElement} Row element.
+ */
+function renderNonIndexedRow(entry) {
+  const urlString = entry.url;
+  const urlItem = document.createElement("div");
+  urlItem.className = "url-item non-indexed-item";
+
+  const linkSpan = document.createElement("span");
+  const anchorEl = document.createElement("a");
+  anchorEl.href = urlString;
+  anchorEl.target = "_blank";
+  anchorEl.textContent = urlString;
+  anchorEl.title = entry.sourcePage ? `Detectada en ${entry.sourcePage}` : urlString;
+  linkSpan.appendChild(anchorEl);
+  const metaEl = document.createElement("small");
+  metaEl.className = "non-indexed-meta";
+  metaEl.textContent = describeNonIndexedEntry(entry);
+  linkSpan.appendChild(metaEl);
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "btn btn-delete";
+  deleteBtn.textContent = "✕";
+  deleteBtn.title = "Eliminar de la lista";
+  deleteBtn.addEventListener("click", () => {
+    chrome.runtime.sendMessage(
+      { action: "removeNonIndexedUrl", url: urlString },
+      () => {
+        // Refresh the list after deletion
+        displayNonIndexedList(nonIndexedEntries.filter((item) => item.url !== urlString));
+      }
+    );
+  });
+
+  urlItem.appendChild(linkSpan);
+  urlItem.appendChild(deleteBtn);
+  return urlItem;
+}
+
+/**
+ * Render the non‑indexed URLs of the current site in the popup.
  *
- * @param {string[]} urls - Array of non‑indexed URLs.
+ * @param {Array<{url: string, firstSeen: number, sourcePage: string, detectedBy: string}>} urls -
+ *   Non‑indexed entries of the site.
+ * @param {string} [warning] - Problem with the stored list (failed save, full list); the
+ *   current warning is kept when omitted.
  * @returns {void}
  */
-function displayNonIndexedList(urls) {
+function displayNonIndexedList(urls, warning) {
   if (!nonIndexedContainer) return;
+  nonIndexedEntries = urls || [];
+  if (warning !== undefined) showNonIndexedWarning(warning);
 
   // If no URLs, hide the entire section
-  if (!urls || urls.length === 0) {
-    nonIndexedSection.classList.add("hidden");
-    nonIndexedContainer.innerHTML = "";
+  nonIndexedSection.classList.toggle("hidden", nonIndexedEntries.length === 0 && !nonIndexedWarning.textContent);
+
+  if (!nonIndexedList) nonIndexedList = createVirtualList(nonIndexedContainer, 44, renderNonIndexedRow);
+  nonIndexedList.setItems(nonIndexedEntries);
+}
+
+/**
+ * Show (or clear) the warning about the stored non-indexed list.
+ *
+ * @param {string} warning - Warning text, or "" to hide it.
+ * @returns {void}
+ */
+function showNonIndexedWarning(warning) {
+  nonIndexedWarning.textContent = warning || "";
+  nonIndexedWarning.classList.toggle("hidden", !warning);
+}
+
+// The background reports failed saves of a site's non-indexed list as they happen
+chrome.runtime.onMessage.addListener((request) => {
+  if (!request || request.action !== "nonIndexedWarning" || !window._currentUrl) return;
+  let origin;
+  try {
+    origin = new URL(window._currentUrl).origin;
+  } catch (_) {
     return;
   }
-
-  // Show the section if there are URLs
+  if (request.origin !== origin) return;
+  showNonIndexedWarning(request.warning);
   nonIndexedSection.classList.remove("hidden");
-  nonIndexedContainer.innerHTML = "";
+});
 
-  // Display up to 50 non-indexed URLs using a fragment
-  const displayUrls = urls.slice(0, 50);
-  const fragment = document.createDocumentFragment();
-  for (const urlString of displayUrls) {
-    const urlItem = document.createElement("div");
-    urlItem.className = "url-item non-indexed-item";
-
-    const linkSpan = document.createElement("span");
-    linkSpan.style.flex = "1";
-    const anchorEl = document.createElement("a");
-    anchorEl.href = urlString;
-    anchorEl.target = "_blank";
-    anchorEl.textContent = urlString;
-    linkSpan.appendChild(anchorEl);
-
-    const deleteBtn = document.createElement("button");
-    deleteBtn.className = "btn btn-delete";
-    deleteBtn.textContent = "✕";
-    deleteBtn.title = "Eliminar de la lista";
-    deleteBtn.addEventListener("click", () => {
-      chrome.runtime.sendMessage(
-        { action: "removeNonIndexedUrl", url: urlString, tabId: window._currentTabId },
-        () => {
-          // Refresh the list after deletion
-          const updatedUrls = urls.filter((url) => url !== urlString);
-          displayNonIndexedList(updatedUrls);
-        }
-      );
-    });
+// Refresh the non-indexed list when the background records URLs of this site
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !window._currentUrl) return;
+  let origin;
+  try {
+    origin = new URL(window._currentUrl).origin;
+  } catch (_) {
+    return;
+  }
+  if (!changes[`nonIndexed:${origin}`]) return;
+  chrome.runtime.sendMessage({ action: "getNonIndexedList", url: window._currentUrl }, (resp) => {
+    if (resp && resp.success) displayNonIndexedList(resp.urls, resp.warning);
+  });
+});
+
+/**
+ * Ask the background to check the current URL and render the result.
+ *
+ * @param {boolean} [forceRefresh] - Download the sitemaps again, bypassing the cache.
+ * @param {{pageContextFirst?: boolean}} [options] - Download the sitemaps from the page first.
+ * @returns {void}
+ */
+function requestStatus(forceRefresh, options = {}) {
+  // Send message to background to process the sitemap (include tabId for CORS fallback)
+  chrome.runtime.sendMessage(
+    {
+      action: "checkSitemap",
+      url: window._currentUrl,
+      tabId: window._currentTabId,
+      forceRefresh: !!forceRefresh,
+      pageContextFirst: !!options.pageContextFirst,
+      deepLink: isDeepLink,
+    },
+    (response) => {
+      displayStatus(response);
+    }
+  );
+}
+
+/**
+ * Show the loading state and check the current URL again, bypassing the cache.
+ *
+ * @param {{pageContextFirst?: boolean}} options - Forwarded to requestStatus.
+ * @returns {void}
+ */
+function retryStatus(options) {
+  loadingDiv.classList.remove("hidden");
+  contentDiv.classList.add("hidden");
+  requestStatus(true, options);
+}
+
+/**
+ * Fill the matching rules form with the profile that applies to the current site.
+ *
+ * @returns {void}
+ */
+function loadMatchProfileForm() {
+  if (!profileSaveBtn) return;
+  chrome.runtime.sendMessage({ action: "getMatchProfile", url: window._currentUrl }, (resp) => {
+    if (!resp || !resp.success) return;
+    const profile = resp.profile;
+    window._matchProfileHost = profile.host;
+    profileHost.textContent = profile.host;
+    profileKeepParams.value = profile.keepParams.join(", ");
+    profileTrailingSlash.value = profile.trailingSlash;
+    profileHostAliases.value = profile.hostAliases.join(", ");
+    profileIgnoreScheme.checked = profile.ignoreScheme;
+    profileCaseInsensitive.checked = profile.caseInsensitive;
+    profileDecode.checked = profile.decode;
+  });
+}
+
+/**
+ * Fill the monitoring form with the watch settings of the current site.
+ *
+ * @returns {void}
+ */
+function loadWatchForm() {
+  if (!watchSaveBtn) return;
+  chrome.runtime.sendMessage({ action: "getWatchedSites", url: window._currentUrl }, (resp) => {
+    if (!resp || !resp.success) return;
+    const site = resp.site;
+    watchEnabled.checked = !!site;
+    if (!site) {
+      watchLastCheck.textContent = "";
+      return;
+    }
+    watchInterval.value = String(site.intervalMinutes);
+    watchThreshold.value = site.dropThreshold;
+    const lastCheck = site.checks[0];
+    watchLastCheck.textContent = lastCheck
+      ? `Última comprobación: ${new Date(lastCheck.checkedAt).toLocaleString("es-ES")}` +
+        (lastCheck.status === "ok" ? ` (${lastCheck.count} URLs)` : ` — ${lastCheck.message || lastCheck.status}`)
+      : "Pendiente de la primera comprobación";
+  });
+}
+
+// Crawl status labels
+const CRAWL_STATUS_LABELS = {
+  running: "Rastreando",
+  done: "Rastreo terminado",
+  stopped: "Rastreo detenido",
+  error: "Error en el rastreo",
+};
+
+/**
+ * Show the progress of the last crawl and keep polling while it runs.
+ *
+ * @param {Object|null} crawl - Status returned by the background `getCrawlStatus` action.
+ * @returns {void}
+ */
+function displayCrawlStatus(crawl) {
+  window._crawlStatus = crawl;
+  if (!crawl) {
+    crawlProgress.textContent = "";
+    crawlStopBtn.classList.add("hidden");
+    crawlExportBtn.classList.add("hidden");
+    return;
+  }
+
+  const running = crawl.status === "running";
+  let text =
+    `${CRAWL_STATUS_LABELS[crawl.status] || crawl.status} (${crawl.origin}): ` +
+    `${crawl.pagesCrawled}/${crawl.settings.maxPages} páginas, ${crawl.missing.length} URLs fuera del sitemap`;
+  if (running) text += `, ${crawl.queued} en cola`;
+  if (crawl.errors > 0) text += `, ${crawl.errors} con error`;
+  if (crawl.robotsBlocked > 0) text += `, ${crawl.robotsBlocked} bloqueadas por robots.txt`;
+  if (crawl.message) text += ` — ${crawl.message}`;
+  crawlProgress.textContent = text;
 
-    urlItem.appendChild(linkSpan);
-    urlItem.appendChild(deleteBtn);
-    fragment.appendChild(urlItem);
+  crawlStartBtn.disabled = running;
+  crawlStopBtn.classList.toggle("hidden", !running);
+  crawlExportBtn.classList.toggle("hidden", crawl.missing.length === 0);
+
+  if (running) {
+    setTimeout(() => {
+      chrome.runtime.sendMessage({ action: "getCrawlStatus" }, (resp) => {
+        if (resp && resp.success) displayCrawlStatus(resp.crawl);
+      });
+    }, 1000);
+  } else if (crawl.missing.length > 0) {
+    // The crawl added URLs to the site's non-indexed list
+    chrome.runtime.sendMessage({ action: "getNonIndexedList", url: window._currentUrl }, (resp) => {
+      if (resp && resp.success) displayNonIndexedList(resp.urls, resp.warning);
+    });
   }
-  nonIndexedContainer.appendChild(fragment);
+}
+
+// popup.html?view=sidepanel is the side panel: it follows the active tab of its window
+const isSidePanel = new URLSearchParams(location.search).get("view") === "sidepanel";
+// popup.html?url=... (opened from the context menu) shows a URL that was not visited
+const isDeepLink = new URLSearchParams(location.search).has("url");
+
+// Result panels that belong to one site; the side panel closes them when it switches sites
+const SITE_RESULT_PANELS = [
+  "browse-result",
+  "audit-result",
+  "history-result",
+  "proposed-result",
+  "validation-result",
+  "export-result",
+];
+
+/**
+ * Point the side panel at another tab: close the previous site's result panels and check the
+ * tab's URL.
+ *
+ * @param {chrome.tabs.Tab} tab - Newly active tab.
+ * @returns {void}
+ */
+function showTab(tab) {
+  window._currentTabId = tab.id;
+  window._currentUrl = tab.url;
+  for (const id of SITE_RESULT_PANELS) document.getElementById(id).classList.add("hidden");
+  loadingDiv.classList.remove("hidden");
+  contentDiv.classList.add("hidden");
+  requestStatus();
+  loadMatchProfileForm();
+  loadWatchForm();
+}
+
+/**
+ * Keep the side panel in sync with its window: follow tab switches, and render the results the
+ * background pushes whenever it checks the shown tab (navigations, SPA route changes).
+ *
+ * @param {number} windowId - Window the side panel belongs to.
+ * @returns {void}
+ */
+function followActiveTab(windowId) {
+  chrome.tabs.onActivated.addListener((activeInfo) => {
+    if (activeInfo.windowId !== windowId) return;
+    chrome.tabs.get(activeInfo.tabId, (tab) => {
+      if (chrome.runtime.lastError || !tab) return;
+      showTab(tab);
+    });
+  });
+
+  chrome.runtime.onMessage.addListener((request) => {
+    if (!request || request.action !== "sitemapResultUpdated" || request.tabId !== window._currentTabId) return;
+    const previousOrigin = getOriginOf(window._currentUrl);
+    window._currentUrl = request.result.currentUrl;
+    if (getOriginOf(window._currentUrl) !== previousOrigin) {
+      for (const id of SITE_RESULT_PANELS) document.getElementById(id).classList.add("hidden");
+      loadMatchProfileForm();
+      loadWatchForm();
+    }
+    displayStatus(request.result);
+  });
+}
 
-  if (urls.length > 50) {
-    const moreItem = document.createElement("div");
-    moreItem.className = "url-item";
-    moreItem.style.textAlign = "center";
-    moreItem.style.color = "var(--color-muted)";
-    const emphasisEl = document.createElement("em");
-    emphasisEl.textContent = `... y ${urls.length - 50} más`;
-    moreItem.appendChild(emphasisEl);
-    nonIndexedContainer.appendChild(moreItem);
+/**
+ * Origin of a URL, or "" when it cannot be parsed.
+ *
+ * @param {string} url - URL.
+ * @returns {string} Origin.
+ */
+function getOriginOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (_) {
+    return "";
   }
 }
 
@@ -181,40 +990,61 @@ async function init() {
   loadingDiv.classList.remove("hidden");
   contentDiv.classList.add("hidden");
 
-  // Get the current URL
-  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-  const currentUrl = tabs[0].url;
-  const tabId = tabs[0].id;
+  // Get the current URL; popup.html?url=... (opened from the context menu) shows that URL instead
+  let currentUrl = new URLSearchParams(location.search).get("url");
+  let tabId = null;
+  if (currentUrl) {
+    document.body.classList.add("page");
+  } else {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    currentUrl = tabs[0].url;
+    tabId = tabs[0].id;
+    if (isSidePanel) {
+      document.body.classList.add("sidepanel");
+      followActiveTab(tabs[0].windowId);
+    } else if (chrome.sidePanel && sidePanelBtn) {
+      sidePanelBtn.classList.remove("hidden");
+      sidePanelBtn.addEventListener("click", async () => {
+        // Must run within the click (user gesture); the popup is no longer needed afterwards
+        try {
+          await chrome.sidePanel.open({ windowId: tabs[0].windowId });
+          window.close();
+        } catch (e) {
+          alert(`No se pudo abrir el panel lateral: ${e.message}`);
+        }
+      });
+    }
+  }
   // store current tabId for other actions
   window._currentTabId = tabId;
   window._currentUrl = currentUrl;
 
-  // Send message to background to process the sitemap (include tabId for CORS fallback)
-  chrome.runtime.sendMessage(
-    { action: "checkSitemap", url: currentUrl, tabId },
-    (response) => {
-      displayStatus(response);
-    }
-  );
+  requestStatus();
+  loadMatchProfileForm();
+  loadWatchForm();
+  if (crawlStartBtn) {
+    chrome.runtime.sendMessage({ action: "getCrawlStatus" }, (resp) => {
+      if (resp && resp.success) displayCrawlStatus(resp.crawl);
+    });
+  }
 
   // Initialize addons toggle state from storage and apply if needed
   try {
-    const { highlightLinks } = await chrome.storage.local.get("highlightLinks");
+    const { highlightLinks, badgeMode } = await chrome.storage.local.get(["highlightLinks", "badgeMode"]);
+    if (badgeModeSelect) {
+      badgeModeSelect.value = badgeMode === "state" ? "state" : "count";
+      badgeModeSelect.addEventListener("change", () => {
+        chrome.storage.local.set({ badgeMode: badgeModeSelect.value });
+      });
+    }
     if (toggleHighlight) {
       toggleHighlight.checked = !!highlightLinks;
-      if (toggleHighlight.checked) {
-        applyLinkWarningBorder(tabId);
-      } else {
-        removeLinkWarningBorder(tabId);
-      }
+      if (toggleHighlight.checked && tabId) ensureHighlighter(tabId);
+      // The content script of every tab follows the stored flag
       toggleHighlight.addEventListener("change", async (event) => {
         const enabled = event.target.checked;
         await chrome.storage.local.set({ highlightLinks: enabled });
-        if (enabled) {
-          applyLinkWarningBorder(window._currentTabId);
-        } else {
-          removeLinkWarningBorder(window._currentTabId);
-        }
+        if (enabled && window._currentTabId) ensureHighlighter(window._currentTabId);
       });
     }
   } catch (_) {
@@ -225,163 +1055,83 @@ async function init() {
 // Initialize when the popup loads
 init();
 
-// Export button handler
-if (exportBtn) {
-  exportBtn.addEventListener("click", () => {
-    const tabId = window._currentTabId;
-    chrome.runtime.sendMessage(
-      { action: "exportNonIndexed", tabId },
-      (resp) => {
-        if (resp && resp.success) {
-          exportOutput.value = resp.exportText || "";
-          exportResult.classList.remove("hidden");
-        } else {
-          exportOutput.value = "";
-          exportResult.classList.add("hidden");
-          alert("No hay URLs para exportar");
-        }
-      }
-    );
-  });
-}
+// File name and MIME type of each non-indexed export format
+const EXPORT_FORMATS = {
+  xml: { extension: "xml", mimeType: "application/xml" },
+  csv: { extension: "csv", mimeType: "text/csv" },
+  json: { extension: "json", mimeType: "application/json" },
+  txt: { extension: "txt", mimeType: "text/plain" },
+};
 
 /**
- * Apply a border highlight to same‑origin links that are NOT present in the sitemap.
- * The border color and class/style IDs are centralized via constants.
+ * Ask the background for the non-indexed export with the options chosen in the dialog.
  *
- * @param {number} tabId - The tab ID where to apply the script.
  * @returns {void}
  */
-function applyLinkWarningBorder(tabId) {
-  if (!tabId) return;
-  const pageUrl = window._currentUrl;
-  if (!pageUrl) return;
-  // Ask background for sitemap URLs of this domain
-  chrome.runtime.sendMessage({ action: "getSitemapUrls", url: pageUrl, tabId }, (resp) => {
-    if (!resp || !resp.success) {
-      // If we cannot get sitemap, do nothing (no highlight)
-      return;
-    }
-    const sitemapUrls = Array.isArray(resp.urls) ? resp.urls : [];
-    chrome.scripting.executeScript(
-      {
-        target: { tabId },
-        func: (sitemapList, styleId, className, warningColor) => {
-          try {
-            let style = document.getElementById(styleId);
-            if (!style) {
-              style = document.createElement("style");
-              style.id = styleId;
-              style.textContent = `
-                .${className} { position: relative !important; }
-                .${className}::after {
-                  content: "";
-                  display: inline-block;
-                  width: 8px;
-                  height: 8px;
-                  margin-left: 6px;
-                  background: ${warningColor};
-                  border-radius: 50%;
-                  vertical-align: middle;
-                  aspect-ratio: 1;
-                }
-              `;
-              document.documentElement.appendChild(style);
-            }
+function generateNonIndexedExport() {
+  const format = exportFormat.value;
+  // changefreq and priority only exist in the XML and JSON formats
+  const withSitemapFields = format === "xml" || format === "json";
+  exportChangefreq.disabled = !withSitemapFields;
+  exportPriority.disabled = !withSitemapFields;
 
-            // Helper to normalize URL: origin+pathname without query/hash, strip trailing slash except root
-            const normalize = (urlInput) => {
-              try {
-                const parsedUrl = new URL(urlInput, document.baseURI);
-                let originAndPath = parsedUrl.origin + parsedUrl.pathname;
-                if (originAndPath.length > 1) originAndPath = originAndPath.replace(/\/$/, "");
-                return originAndPath;
-              } catch {
-                return "";
-              }
-            };
-
-            const sameOrigin = window.location.origin;
-            const sitemapSet = new Set(sitemapList || []);
-            const links = document.querySelectorAll('a[href]');
-            const nonIndexed = [];
-            links.forEach((anchor) => {
-              const hrefValue = anchor.getAttribute('href');
-              const normalized = normalize(hrefValue);
-              // Same-origin only
-              if (!normalized || !normalized.startsWith(sameOrigin)) {
-                anchor.classList.remove(className);
-                return;
-              }
-              // If link is in sitemap, do not highlight
-              if (sitemapSet.has(normalized)) {
-                anchor.classList.remove(className);
-              } else {
-                anchor.classList.add(className);
-                nonIndexed.push(normalized);
-              }
-            });
-            // Return the list of detected non-indexed, same-origin links
-            // Use Set to avoid duplicates before returning
-            return Array.from(new Set(nonIndexed));
-          } catch (_) {
-            return [];
-          }
-        },
-        args: [sitemapUrls, LINK_WARNING_STYLE_ID, LINK_WARNING_CLASS_NAME, WARNING_BORDER_COLOR],
-      },
-      // Callback receives an array of InjectionResult items
-      (injectionResults) => {
-        try {
-          const first = Array.isArray(injectionResults) && injectionResults.length > 0 ? injectionResults[0] : null;
-          const detected = first && first.result ? first.result : [];
-          if (Array.isArray(detected) && detected.length > 0) {
-            // Send to background to add to the per-tab non-indexed list
-            chrome.runtime.sendMessage(
-              { action: "addNonIndexedBulk", tabId, urls: detected },
-              () => {
-                // Refresh list in the popup UI
-                chrome.runtime.sendMessage(
-                  { action: "getNonIndexedListForTab", tabId },
-                  (respList) => {
-                    if (respList && respList.success && Array.isArray(respList.urls)) {
-                      nonIndexedSection.classList.remove("hidden");
-                      displayNonIndexedList(respList.urls);
-                    }
-                  }
-                );
-              }
-            );
-          }
-        } catch (_) {
-          // ignore UI refresh errors
-        }
+  chrome.runtime.sendMessage(
+    {
+      action: "exportNonIndexed",
+      url: window._currentUrl,
+      format,
+      lastmod: exportLastmod.value,
+      changefreq: withSitemapFields ? exportChangefreq.value : "",
+      priority: withSitemapFields ? exportPriority.value : "",
+    },
+    (resp) => {
+      if (resp && resp.success && resp.exportText) {
+        exportOutput.value = resp.exportText;
+        exportResult.classList.remove("hidden");
+      } else {
+        exportOutput.value = "";
+        exportResult.classList.add("hidden");
+        alert("No hay URLs para exportar");
       }
-    );
+    }
+  );
+}
+
+// Export button handler
+if (exportBtn) {
+  exportBtn.addEventListener("click", generateNonIndexedExport);
+  for (const control of [exportFormat, exportLastmod, exportChangefreq, exportPriority]) {
+    control.addEventListener("change", generateNonIndexedExport);
+  }
+}
+
+// Download the current export as a file
+if (downloadBtn) {
+  downloadBtn.addEventListener("click", () => {
+    const { extension, mimeType } = EXPORT_FORMATS[exportFormat.value] || EXPORT_FORMATS.txt;
+    let host = "sitio";
+    try {
+      host = new URL(window._currentUrl).hostname;
+    } catch (_) {
+      // keep the generic name
+    }
+    const fileName = exportFormat.value === "xml" ? `sitemap-${host}.xml` : `urls-no-indexadas-${host}.${extension}`;
+    downloadTextFile(fileName, exportOutput.value || "", mimeType);
   });
 }
 
 /**
- * Remove the link highlight style and any applied classes from the page.
+ * Make sure the link highlighter runs in a tab. It is declared as a content script, but tabs
+ * opened before the extension was installed or updated do not have it yet; the script ignores
+ * a second injection.
  *
- * @param {number} tabId - The tab ID where to remove the script side effects.
+ * @param {number} tabId - The tab ID.
  * @returns {void}
  */
-function removeLinkWarningBorder(tabId) {
+function ensureHighlighter(tabId) {
   if (!tabId) return;
-  chrome.scripting.executeScript({
-    target: { tabId },
-    func: (styleId, className) => {
-      try {
-        const style = document.getElementById(styleId);
-        if (style && style.parentNode) style.parentNode.removeChild(style);
-        // Also remove the class from any links
-        document.querySelectorAll('.' + className).forEach((el) => el.classList.remove(className));
-      } catch (_) {
-        // ignore
-      }
-    },
-    args: [LINK_WARNING_STYLE_ID, LINK_WARNING_CLASS_NAME]
+  chrome.scripting.executeScript({ target: { tabId }, files: ["content.js"] }).catch(() => {
+    // pages where extensions cannot run (e.g. the Web Store)
   });
 }
 
@@ -397,3 +1147,1167 @@ if (copyBtn) {
     }
   });
 }
+
+/**
+ * Download a Blob under the given file name.
+ *
+ * @param {string} filename - Suggested file name.
+ * @param {Blob} blob - File contents.
+ * @returns {void}
+ */
+function downloadBlob(filename, blob) {
+  const objectUrl = URL.createObjectURL(blob);
+  const anchorEl = document.createElement("a");
+  anchorEl.href = objectUrl;
+  anchorEl.download = filename;
+  document.body.appendChild(anchorEl);
+  anchorEl.click();
+  anchorEl.remove();
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+}
+
+/**
+ * Download a text file generated in the popup.
+ *
+ * @param {string} filename - Suggested file name.
+ * @param {string} text - File contents.
+ * @param {string} mimeType - MIME type of the contents.
+ * @returns {void}
+ */
+function downloadTextFile(filename, text, mimeType) {
+  downloadBlob(filename, new Blob([text], { type: `${mimeType};charset=utf-8` }));
+}
+
+/**
+ * Quote a value for a CSV cell.
+ *
+ * @param {any} value - Cell value.
+ * @returns {string} CSV-safe cell.
+ */
+function toCsvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Severity groups of the validation report, in display order
+const VALIDATION_SEVERITIES = [
+  { key: "error", label: "Errores" },
+  { key: "warning", label: "Advertencias" },
+  { key: "info", label: "Información" },
+];
+
+/**
+ * Render a validation report grouped by severity (up to 50 findings per group).
+ *
+ * @param {Object} report - Report returned by the background `validateSitemap` action.
+ * @returns {void}
+ */
+function displayValidationReport(report) {
+  window._validationReport = report;
+  validationResult.classList.remove("hidden");
+  validationSummary.textContent =
+    `${report.sitemapCount} sitemaps, ${report.urlCount} URLs — ` +
+    `${report.counts.error} errores, ${report.counts.warning} advertencias, ${report.counts.info} avisos`;
+  validationGroups.innerHTML = "";
+
+  if (report.findings.length === 0) {
+    const okEl = document.createElement("p");
+    okEl.className = "status-box found";
+    okEl.textContent = "✓ El sitemap cumple el protocolo";
+    validationGroups.appendChild(okEl);
+    return;
+  }
+
+  for (const severity of VALIDATION_SEVERITIES) {
+    const findings = report.findings.filter((finding) => finding.severity === severity.key);
+    if (findings.length === 0) continue;
+
+    const group = document.createElement("details");
+    group.className = `validation-group validation-${severity.key}`;
+    group.open = severity.key === "error";
+    const summaryEl = document.createElement("summary");
+    summaryEl.textContent = `${severity.label} (${findings.length})`;
+    group.appendChild(summaryEl);
+
+    const list = document.createElement("div");
+    list.className = "urls-list";
+    for (const finding of findings.slice(0, 50)) {
+      const item = document.createElement("div");
+      item.className = "url-item";
+      item.textContent = finding.message;
+      const metaEl = document.createElement("div");
+      metaEl.className = "url-meta";
+      metaEl.textContent = [finding.loc, getSitemapFileName(finding.sitemap)].filter(Boolean).join(" — ");
+      item.appendChild(metaEl);
+      list.appendChild(item);
+    }
+    if (findings.length > 50) {
+      const moreItem = document.createElement("div");
+      moreItem.className = "url-item";
+      moreItem.style.textAlign = "center";
+      moreItem.style.color = "var(--color-muted)";
+      const emphasisEl = document.createElement("em");
+      emphasisEl.textContent = `... y ${findings.length - 50} más (ver exportación)`;
+      moreItem.appendChild(emphasisEl);
+      list.appendChild(moreItem);
+    }
+    group.appendChild(list);
+    validationGroups.appendChild(group);
+  }
+}
+
+// Validate button handler
+if (validateBtn) {
+  validateBtn.addEventListener("click", () => {
+    validateBtn.disabled = true;
+    validateBtn.textContent = "Validando...";
+    chrome.runtime.sendMessage(
+      { action: "validateSitemap", url: window._currentUrl, tabId: window._currentTabId },
+      (resp) => {
+        validateBtn.disabled = false;
+        validateBtn.textContent = "Validar";
+        if (resp && resp.success) {
+          displayValidationReport(resp.report);
+        } else {
+          alert(`No se pudo validar el sitemap: ${(resp && resp.error) || "error desconocido"}`);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Show whether the current sitemap entry is marked for removal from the proposed sitemap.
+ *
+ * @param {boolean} marked - Current mark state.
+ * @returns {void}
+ */
+function renderRemovalButton(marked) {
+  if (!removalBtn) return;
+  removalBtn.dataset.marked = marked ? "true" : "";
+  removalBtn.textContent = marked ? "Quitar marca de eliminación" : "Marcar para eliminar";
+  removalBtn.title = "Excluir esta URL del sitemap propuesto";
+}
+
+// Audit result groups and sortable columns
+const AUDIT_GROUPS = [
+  { key: "broken", label: "Rotas" },
+  { key: "redirected", label: "Redirigidas" },
+  { key: "ok", label: "OK" },
+];
+const AUDIT_COLUMNS = [
+  { key: "url", label: "URL" },
+  { key: "status", label: "Estado" },
+  { key: "redirect", label: "Destino" },
+  { key: "timeMs", label: "Tiempo" },
+];
+let auditSort = { key: "url", direction: 1 };
+let auditPollCount = 0;
+
+/**
+ * Status shown for an audit result. Redirects are followed, so a redirected URL shows
+ * "3xx →" with the status of its final target.
+ *
+ * @param {Object} result - Audit result.
+ * @returns {string} Status label, or the error when the request failed.
+ */
+function formatAuditStatus(result) {
+  if (!result.status) return result.error || "Error";
+  return result.redirect ? `3xx → ${result.status}` : String(result.status);
+}
+
+/**
+ * Render the audit results grouped into broken / redirected / ok, filtered by the search box
+ * and sorted by the selected column (up to 100 rows per group).
+ *
+ * @returns {void}
+ */
+function renderAuditResults() {
+  const results = window._auditResults || [];
+  const query = auditFilter.value.trim().toLowerCase();
+  const filtered = query
+    ? results.filter((result) =>
+        [result.url, result.redirect, result.error, formatAuditStatus(result)].some((value) =>
+          String(value || "").toLowerCase().includes(query)
+        )
+      )
+    : results.slice();
+  filtered.sort((a, b) => {
+    const left = a[auditSort.key];
+    const right = b[auditSort.key];
+    if (left === right) return 0;
+    return (left > right ? 1 : -1) * auditSort.direction;
+  });
+
+  const openGroups = new Set(
+    Array.from(auditGroups.querySelectorAll("details[open]"), (group) => group.dataset.group)
+  );
+  auditGroups.innerHTML = "";
+  for (const auditGroup of AUDIT_GROUPS) {
+    const rows = filtered.filter((result) => result.group === auditGroup.key);
+    if (rows.length === 0) continue;
+
+    const group = document.createElement("details");
+    group.className = `validation-group audit-${auditGroup.key}`;
+    group.dataset.group = auditGroup.key;
+    group.open = openGroups.size > 0 ? openGroups.has(auditGroup.key) : auditGroup.key === "broken";
+    const summaryEl = document.createElement("summary");
+    summaryEl.textContent = `${auditGroup.label} (${rows.length})`;
+    group.appendChild(summaryEl);
+
+    const table = document.createElement("table");
+    table.className = "audit-table";
+    const headRow = table.createTHead().insertRow();
+    for (const column of AUDIT_COLUMNS) {
+      const cell = document.createElement("th");
+      const arrow = auditSort.key === column.key ? (auditSort.direction > 0 ? " ▲" : " ▼") : "";
+      cell.textContent = column.label + arrow;
+      cell.addEventListener("click", () => {
+        auditSort = { key: column.key, direction: auditSort.key === column.key ? -auditSort.direction : 1 };
+        renderAuditResults();
+      });
+      headRow.appendChild(cell);
+    }
+    const body = table.createTBody();
+    for (const result of rows.slice(0, 100)) {
+      const row = body.insertRow();
+      row.insertCell().textContent = result.url;
+      row.insertCell().textContent = formatAuditStatus(result);
+      row.insertCell().textContent = result.redirect;
+      row.insertCell().textContent = `${result.timeMs} ms`;
+    }
+    group.appendChild(table);
+    if (rows.length > 100) {
+      const moreEl = document.createElement("p");
+      moreEl.className = "url-meta";
+      moreEl.textContent = `... y ${rows.length - 100} más (ver exportación)`;
+      group.appendChild(moreEl);
+    }
+    auditGroups.appendChild(group);
+  }
+}
+
+/**
+ * Fetch the audit of the current site and show its progress; keeps polling while it runs.
+ *
+ * @returns {void}
+ */
+function refreshAudit() {
+  // While running, the (possibly large) result list is only refreshed every few polls
+  const withResults = auditPollCount++ % 5 === 0;
+  chrome.runtime.sendMessage({ action: "getAudit", url: window._currentUrl, withResults }, (resp) => {
+    if (!resp || !resp.success) return;
+    const audit = resp.audit;
+    if (!audit) {
+      auditProgress.textContent = "Esta auditoría comprueba el código de estado de cada URL del sitemap.";
+      return;
+    }
+
+    const running = audit.status === "running";
+    auditProgress.textContent =
+      `${audit.checked}/${audit.total} URLs comprobadas — ${audit.counts.broken} rotas, ` +
+      `${audit.counts.redirected} redirigidas, ${audit.counts.ok} OK` +
+      (audit.status === "paused" ? " (en pausa)" : "") +
+      (audit.message ? ` — ${audit.message}` : "");
+    auditStartBtn.disabled = running;
+    auditPauseBtn.classList.toggle("hidden", !running);
+    auditResumeBtn.classList.toggle("hidden", audit.status !== "paused");
+    auditExportBtn.classList.toggle("hidden", audit.checked === 0);
+
+    if (audit.results) {
+      window._auditResults = audit.results;
+      renderAuditResults();
+    }
+    if (running && !auditResult.classList.contains("hidden")) {
+      setTimeout(refreshAudit, 1000);
+    } else if (!audit.results) {
+      // Final state: make sure the table shows every result
+      auditPollCount = 0;
+      refreshAudit();
+    }
+  });
+}
+
+// Audit handlers
+if (auditBtn) {
+  auditBtn.addEventListener("click", () => {
+    auditResult.classList.toggle("hidden");
+    if (!auditResult.classList.contains("hidden")) {
+      auditPollCount = 0;
+      refreshAudit();
+    }
+  });
+
+  auditStartBtn.addEventListener("click", () => {
+    const settings = { concurrency: Number(auditConcurrency.value), requestsPerSecond: Number(auditRate.value) };
+    chrome.runtime.sendMessage(
+      { action: "startAudit", url: window._currentUrl, tabId: window._currentTabId, settings },
+      (resp) => {
+        if (!resp || !resp.success) {
+          alert(`No se pudo iniciar la auditoría: ${(resp && resp.error) || "error desconocido"}`);
+          return;
+        }
+        auditPollCount = 0;
+        refreshAudit();
+      }
+    );
+  });
+
+  auditPauseBtn.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: "pauseAudit" });
+  });
+
+  auditResumeBtn.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: "resumeAudit", url: window._currentUrl }, (resp) => {
+      if (!resp || !resp.success) {
+        alert(`No se pudo reanudar la auditoría: ${(resp && resp.error) || "error desconocido"}`);
+        return;
+      }
+      auditPollCount = 0;
+      refreshAudit();
+    });
+  });
+
+  auditFilter.addEventListener("input", renderAuditResults);
+
+  auditExportBtn.addEventListener("click", () => {
+    const rows = [["url", "group", "status", "redirect", "time_ms", "method", "error"]];
+    for (const result of window._auditResults || []) {
+      rows.push([result.url, result.group, result.status, result.redirect, result.timeMs, result.method, result.error]);
+    }
+    const csv = rows.map((row) => row.map(toCsvCell).join(",")).join("\n");
+    downloadTextFile("sitemap-audit.csv", csv, "text/csv");
+  });
+}
+
+/**
+ * Show whether the current site is being checked against a draft sitemap.
+ *
+ * @param {{files: Array<{name: string, count: number}>, count: number, loadedAt: number}|null} draft -
+ *   Active draft of the site, or null.
+ * @returns {void}
+ */
+function renderDraftIndicator(draft) {
+  draftBanner.classList.toggle("hidden", !draft);
+  draftClearBtn.classList.toggle("hidden", !draft);
+  if (!draft) {
+    draftStatus.textContent = "";
+    return;
+  }
+  const names = draft.files.map((file) => file.name).join(", ");
+  draftBannerText.textContent = `Borrador activo: ${names} (${draft.count} URLs). Se usa en lugar del sitemap publicado.`;
+  draftStatus.textContent = `Cargado el ${new Date(draft.loadedAt).toLocaleString("es-ES")}`;
+}
+
+/**
+ * Read a local sitemap file, decompressing .gz files.
+ *
+ * @param {File} file - Selected file.
+ * @returns {Promise<string>} XML text.
+ */
+async function readSitemapFile(file) {
+  if (!/\.gz$/i.test(file.name)) return file.text();
+  return new Response(file.stream().pipeThrough(new DecompressionStream("gzip"))).text();
+}
+
+/**
+ * Remove the draft of the current site and check the page again against the published sitemap.
+ *
+ * @returns {void}
+ */
+function clearDraft() {
+  chrome.runtime.sendMessage({ action: "clearDraftSitemap", url: window._currentUrl }, (resp) => {
+    if (!resp || !resp.success) {
+      alert(`No se pudo quitar el borrador: ${(resp && resp.error) || "error desconocido"}`);
+      return;
+    }
+    requestStatus();
+  });
+}
+
+// Draft sitemap handlers
+if (draftApplyBtn) {
+  draftApplyBtn.addEventListener("click", async () => {
+    let files;
+    try {
+      files = await Promise.all(
+        Array.from(draftFile.files, async (file) => ({ name: file.name, text: await readSitemapFile(file) }))
+      );
+    } catch (e) {
+      draftStatus.textContent = `No se pudo leer el archivo: ${e.message}`;
+      return;
+    }
+    if (draftText.value.trim()) files.push({ name: "XML pegado", text: draftText.value });
+    if (files.length === 0) {
+      draftStatus.textContent = "Elige un archivo o pega el XML del sitemap";
+      return;
+    }
+
+    draftApplyBtn.disabled = true;
+    draftStatus.textContent = "Analizando...";
+    chrome.runtime.sendMessage({ action: "setDraftSitemap", url: window._currentUrl, files }, (resp) => {
+      draftApplyBtn.disabled = false;
+      if (!resp || !resp.success) {
+        draftStatus.textContent = `No se pudo usar el borrador: ${(resp && resp.error) || "error desconocido"}`;
+        return;
+      }
+      draftFile.value = "";
+      draftText.value = "";
+      requestStatus();
+    });
+  });
+
+  draftClearBtn.addEventListener("click", clearDraft);
+  draftBannerClearBtn.addEventListener("click", clearDraft);
+}
+
+// Result groups of the bulk URL check (status returned by the background)
+const BULK_GROUPS = [
+  { key: "missing", label: "No están en el sitemap" },
+  { key: "no-sitemap", label: "Dominio sin sitemap" },
+  { key: "error", label: "Error" },
+  { key: "found", label: "En el sitemap" },
+];
+
+/**
+ * Pull the http(s) URLs out of pasted text or an imported CSV/TXT file, whatever the column
+ * layout or quoting.
+ *
+ * @param {string} text - Raw text.
+ * @returns {Array<string>} URLs in order of appearance.
+ */
+function extractUrlsFromText(text) {
+  return String(text).match(/https?:\/\/[^\s,;"'<>]+/gi) || [];
+}
+
+/**
+ * Render the bulk check results grouped by status (up to 100 rows per group).
+ *
+ * @param {Array<Object>} results - Results of the `bulkCheckUrls` action.
+ * @returns {void}
+ */
+function displayBulkResults(results) {
+  bulkGroups.innerHTML = "";
+  const counts = BULK_GROUPS.map((bulkGroup) => {
+    const rows = results.filter((result) => result.status === bulkGroup.key);
+    return { ...bulkGroup, rows };
+  });
+  bulkSummary.textContent = `${results.length} URLs: ` + counts
+    .filter((bulkGroup) => bulkGroup.rows.length > 0)
+    .map((bulkGroup) => `${bulkGroup.label.toLowerCase()}: ${bulkGroup.rows.length}`)
+    .join(", ");
+  bulkExportBtn.classList.toggle("hidden", results.length === 0);
+
+  for (const bulkGroup of counts) {
+    if (bulkGroup.rows.length === 0) continue;
+    const group = document.createElement("details");
+    group.className = `validation-group bulk-${bulkGroup.key}`;
+    group.open = bulkGroup.key === "missing";
+    const summaryEl = document.createElement("summary");
+    summaryEl.textContent = `${bulkGroup.label} (${bulkGroup.rows.length})`;
+    group.appendChild(summaryEl);
+
+    const table = document.createElement("table");
+    table.className = "audit-table";
+    const headRow = table.createTHead().insertRow();
+    for (const label of ["URL", bulkGroup.key === "found" ? "Entrada del sitemap" : "Detalle"]) {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      headRow.appendChild(cell);
+    }
+    const body = table.createTBody();
+    for (const result of bulkGroup.rows.slice(0, 100)) {
+      const row = body.insertRow();
+      row.insertCell().textContent = result.url;
+      row.insertCell().textContent = result.status === "found"
+        ? `${result.loc === result.url ? "" : `${result.loc} · `}${getSitemapFileName(result.source)}`
+        : result.error || result.host;
+    }
+    group.appendChild(table);
+    if (bulkGroup.rows.length > 100) {
+      const moreEl = document.createElement("p");
+      moreEl.className = "url-meta";
+      moreEl.textContent = `... y ${bulkGroup.rows.length - 100} más (ver exportación)`;
+      group.appendChild(moreEl);
+    }
+    bulkGroups.appendChild(group);
+  }
+}
+
+// Bulk URL check handlers
+if (bulkCheckBtn) {
+  bulkFile.addEventListener("change", async () => {
+    const file = bulkFile.files[0];
+    if (!file) return;
+    const urls = extractUrlsFromText(await file.text());
+    bulkInput.value = urls.join("\n");
+    bulkSummary.textContent = `${urls.length} URLs cargadas de ${file.name}`;
+  });
+
+  bulkCheckBtn.addEventListener("click", () => {
+    const urls = extractUrlsFromText(bulkInput.value);
+    if (urls.length === 0) {
+      bulkSummary.textContent = "No se encontraron URLs (deben empezar por http:// o https://)";
+      return;
+    }
+    bulkCheckBtn.disabled = true;
+    bulkCheckBtn.textContent = "Comprobando...";
+    chrome.runtime.sendMessage(
+      { action: "bulkCheckUrls", urls, url: window._currentUrl, tabId: window._currentTabId },
+      (resp) => {
+        bulkCheckBtn.disabled = false;
+        bulkCheckBtn.textContent = "Comprobar";
+        if (!resp || !resp.success) {
+          alert(`No se pudo comprobar la lista: ${(resp && resp.error) || "error desconocido"}`);
+          return;
+        }
+        window._bulkResults = resp.results;
+        displayBulkResults(resp.results);
+      }
+    );
+  });
+
+  bulkExportBtn.addEventListener("click", () => {
+    const rows = [["url", "host", "status", "sitemap_loc", "lastmod", "sitemap", "error", "error_code"]];
+    for (const result of window._bulkResults || []) {
+      rows.push([result.url, result.host, result.status, result.loc, result.lastmod, result.source, result.error, result.errorCode]);
+    }
+    const csv = rows.map((row) => row.map(toCsvCell).join(",")).join("\n");
+    downloadTextFile("sitemap-bulk-check.csv", csv, "text/csv");
+  });
+}
+
+// Sitemap browser state: every entry of the site, the selected path prefix and the virtual list
+let browseEntries = [];
+let browsePrefix = "";
+let browseExpanded = new Set();
+let browseList = null;
+let browseDebounce = 0;
+
+// Sort orders of the sitemap browser ("sitemap" keeps the file order). Entries without a
+// valid lastmod go last in both lastmod orders.
+const BROWSE_SORTS = {
+  "loc-asc": (a, b) => (a.loc < b.loc ? -1 : a.loc > b.loc ? 1 : 0),
+  "loc-desc": (a, b) => (a.loc < b.loc ? 1 : a.loc > b.loc ? -1 : 0),
+  "lastmod-desc": (a, b) => Number.isNaN(a.time) - Number.isNaN(b.time) || b.time - a.time,
+  "lastmod-asc": (a, b) => Number.isNaN(a.time) - Number.isNaN(b.time) || a.time - b.time,
+};
+
+/**
+ * Path of an entry's URL, used to group entries by prefix.
+ *
+ * @param {string} loc - Entry URL.
+ * @returns {string} Pathname ("/" when the URL cannot be parsed).
+ */
+function getEntryPath(loc) {
+  try {
+    return new URL(loc).pathname;
+  } catch (_) {
+    return "/";
+  }
+}
+
+/**
+ * Build the row of a sitemap entry in the browser list.
+ *
+ * @param {{loc: string, lastmod: string, source: string}} entry - Sitemap entry.
+ * @returns {HTMLElement} Row element.
+ */
+function renderBrowseRow(entry) {
+  const row = document.createElement("div");
+  row.className = "url-item browse-item";
+  const anchorEl = document.createElement("a");
+  anchorEl.href = entry.loc;
+  anchorEl.target = "_blank";
+  anchorEl.textContent = entry.loc;
+  anchorEl.title = entry.source ? `${entry.loc}\nEn ${getSitemapFileName(entry.source)}` : entry.loc;
+  row.appendChild(anchorEl);
+  const lastmodEl = document.createElement("small");
+  lastmodEl.className = "non-indexed-meta";
+  lastmodEl.textContent = entry.lastmod ? `lastmod ${formatDate(entry.lastmod)}` : "sin lastmod";
+  row.appendChild(lastmodEl);
+  return row;
+}
+
+/**
+ * Group entries into a tree of path prefixes ("/blog/", "/blog/2024/", ...) with the number of
+ * entries under each one. Only directories become nodes; the last path segment is the page.
+ *
+ * @param {Array<{path: string}>} entries - Entries to group.
+ * @returns {{prefix: string, count: number, children: Map<string, Object>}} Root node ("/").
+ */
+function buildPrefixTree(entries) {
+  const root = { prefix: "/", count: 0, children: new Map() };
+  for (const entry of entries) {
+    root.count++;
+    const segments = entry.path.split("/").slice(1, -1);
+    let node = root;
+    for (const segment of segments) {
+      let child = node.children.get(segment);
+      if (!child) {
+        child = { prefix: `${node.prefix}${segment}/`, count: 0, children: new Map() };
+        node.children.set(segment, child);
+      }
+      child.count++;
+      node = child;
+    }
+  }
+  return root;
+}
+
+/**
+ * Render one level of the prefix tree. Sub-levels are only built when a section is expanded,
+ * so sitemaps with thousands of directories stay cheap to render.
+ *
+ * @param {HTMLElement} parent - Element the sections are appended to.
+ * @param {Object} node - Tree node whose children are rendered.
+ * @returns {void}
+ */
+function renderPrefixTreeLevel(parent, node) {
+  const children = [...node.children.values()].sort((a, b) => b.count - a.count);
+  for (const child of children) {
+    const section = document.createElement(child.children.size > 0 ? "details" : "div");
+    section.className = "browse-tree-node";
+    const label = document.createElement(child.children.size > 0 ? "summary" : "div");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "browse-tree-label";
+    if (child.prefix === browsePrefix) button.classList.add("selected");
+    button.textContent = `${child.prefix.slice(node.prefix.length - 1)} (${child.count})`;
+    button.title = child.prefix;
+    button.addEventListener("click", (event) => {
+      event.preventDefault(); // keep the details open/closed; the summary toggles it
+      browsePrefix = browsePrefix === child.prefix ? "" : child.prefix;
+      renderBrowser();
+    });
+    label.appendChild(button);
+    section.appendChild(label);
+    if (child.children.size > 0) {
+      // Keep the sections the user expanded, plus the path to the selected one
+      section.open = browseExpanded.has(child.prefix) || browsePrefix.startsWith(child.prefix);
+      if (section.open) renderPrefixTreeLevel(section, child);
+      section.addEventListener("toggle", () => {
+        if (section.open) browseExpanded.add(child.prefix);
+        else browseExpanded.delete(child.prefix);
+        if (section.open && section.childElementCount === 1) renderPrefixTreeLevel(section, child);
+      });
+    }
+    parent.appendChild(section);
+  }
+}
+
+/**
+ * Apply the browser's search, date range, prefix and sort to the site's entries and render the
+ * prefix tree and the virtual list.
+ *
+ * @returns {void}
+ */
+function renderBrowser() {
+  let matcher = null;
+  const query = browseSearch.value.trim();
+  browseSearch.classList.remove("invalid");
+  browseSearch.title = "";
+  if (query && browseRegex.checked) {
+    try {
+      const pattern = new RegExp(query, "i");
+      matcher = (loc) => pattern.test(loc);
+    } catch (e) {
+      browseSearch.classList.add("invalid");
+      browseSearch.title = e.message;
+      browseSummary.textContent = "Expresión regular no válida";
+      return;
+    }
+  } else if (query) {
+    const needle = query.toLowerCase();
+    matcher = (loc) => loc.toLowerCase().includes(needle);
+  }
+
+  // Date inputs give YYYY-MM-DD; lastmod values start with the date in W3C format
+  const from = browseFrom.value;
+  const to = browseTo.value;
+  const filtered = browseEntries.filter((entry) => {
+    if (matcher && !matcher(entry.loc)) return false;
+    if (from || to) {
+      const day = entry.lastmod.slice(0, 10);
+      if (!day || (from && day < from) || (to && day > to)) return false;
+    }
+    return true;
+  });
+
+  const tree = buildPrefixTree(filtered);
+  browseTree.innerHTML = "";
+  renderPrefixTreeLevel(browseTree, tree);
+
+  let shown = browsePrefix ? filtered.filter((entry) => entry.path.startsWith(browsePrefix)) : filtered;
+  const compare = BROWSE_SORTS[browseSort.value];
+  if (compare) shown = shown.slice().sort(compare);
+
+  let summary = `${shown.length} de ${browseEntries.length} URLs`;
+  if (browsePrefix) summary += ` en ${browsePrefix}`;
+  browseSummary.textContent = summary;
+  if (!browseList) browseList = createVirtualList(browseListContainer, 44, renderBrowseRow);
+  browseList.setItems(shown);
+}
+
+// Sitemap browser handlers
+if (browseBtn) {
+  browseBtn.addEventListener("click", () => {
+    browseResult.classList.toggle("hidden");
+    if (browseResult.classList.contains("hidden")) return;
+
+    browseSummary.textContent = "Cargando entradas...";
+    chrome.runtime.sendMessage(
+      { action: "getSitemapEntries", url: window._currentUrl, tabId: window._currentTabId },
+      (resp) => {
+        if (!resp || !resp.success) {
+          browseSummary.textContent = `No se pudieron cargar las entradas: ${(resp && resp.error) || "error desconocido"}`;
+          return;
+        }
+        // Parse the path and lastmod once so filtering and sorting 50k entries stays fast
+        browseEntries = resp.entries.map((entry) => ({
+          ...entry,
+          path: getEntryPath(entry.loc),
+          time: entry.lastmod ? Date.parse(entry.lastmod) : NaN,
+        }));
+        browsePrefix = "";
+        browseExpanded = new Set();
+        renderBrowser();
+      }
+    );
+  });
+
+  browseSearch.addEventListener("input", () => {
+    clearTimeout(browseDebounce);
+    browseDebounce = setTimeout(renderBrowser, 150);
+  });
+  for (const control of [browseRegex, browseSort, browseFrom, browseTo]) {
+    control.addEventListener("change", renderBrowser);
+  }
+}
+
+/**
+ * Fill the "Desde"/"Hasta" selects with the snapshots of the selected sitemap
+ * (by default the two most recent ones are compared).
+ *
+ * @returns {void}
+ */
+function fillSnapshotSelects() {
+  const sitemap = (window._snapshotSitemaps || [])[historySitemap.selectedIndex];
+  historyFrom.innerHTML = "";
+  historyTo.innerHTML = "";
+  if (!sitemap) return;
+  for (const snapshot of sitemap.snapshots) {
+    const label = `${new Date(snapshot.takenAt).toLocaleString("es-ES")} (${snapshot.count} URLs)`;
+    historyFrom.appendChild(new Option(label, snapshot.id));
+    historyTo.appendChild(new Option(label, snapshot.id));
+  }
+  historyTo.selectedIndex = 0;
+  historyFrom.selectedIndex = Math.min(1, sitemap.snapshots.length - 1);
+}
+
+// Diff groups shown in the history view
+const DIFF_GROUPS = [
+  { key: "added", label: "URLs añadidas", describe: (item) => item.lastmod },
+  { key: "removed", label: "URLs eliminadas", describe: (item) => item.lastmod },
+  { key: "lastmodChanged", label: "lastmod cambiado", describe: (item) => `${item.before || "—"} → ${item.after || "—"}` },
+];
+
+/**
+ * Render a snapshot diff grouped by change type (up to 50 URLs per group).
+ *
+ * @param {Object} diff - Diff returned by the background `diffSitemapSnapshots` action.
+ * @returns {void}
+ */
+function displaySnapshotDiff(diff) {
+  window._snapshotDiff = diff;
+  historySummary.textContent =
+    `${diff.counts.added} añadidas, ${diff.counts.removed} eliminadas, ` +
+    `${diff.counts.lastmodChanged} con lastmod cambiado`;
+  historyDiff.innerHTML = "";
+  historyExport.classList.remove("hidden");
+
+  for (const diffGroup of DIFF_GROUPS) {
+    const items = diff[diffGroup.key];
+    if (items.length === 0) continue;
+
+    const group = document.createElement("details");
+    group.className = "validation-group";
+    const summaryEl = document.createElement("summary");
+    summaryEl.textContent = `${diffGroup.label} (${items.length})`;
+    group.appendChild(summaryEl);
+
+    const list = document.createElement("div");
+    list.className = "urls-list";
+    for (const item of items.slice(0, 50)) {
+      const itemEl = document.createElement("div");
+      itemEl.className = "url-item";
+      itemEl.textContent = item.loc;
+      const metaEl = document.createElement("div");
+      metaEl.className = "url-meta";
+      metaEl.textContent = diffGroup.describe(item) || "";
+      itemEl.appendChild(metaEl);
+      list.appendChild(itemEl);
+    }
+    if (items.length > 50) {
+      const moreItem = document.createElement("div");
+      moreItem.className = "url-item";
+      moreItem.style.textAlign = "center";
+      moreItem.style.color = "var(--color-muted)";
+      const emphasisEl = document.createElement("em");
+      emphasisEl.textContent = `... y ${items.length - 50} más (ver exportación)`;
+      moreItem.appendChild(emphasisEl);
+      list.appendChild(moreItem);
+    }
+    group.appendChild(list);
+    historyDiff.appendChild(group);
+  }
+}
+
+// History handlers
+if (historyBtn) {
+  historyBtn.addEventListener("click", () => {
+    if (!historyResult.classList.contains("hidden")) {
+      historyResult.classList.add("hidden");
+      return;
+    }
+    chrome.runtime.sendMessage(
+      { action: "getSitemapSnapshots", url: window._currentUrl, tabId: window._currentTabId },
+      (resp) => {
+        if (!resp || !resp.success) {
+          alert(`No se pudo leer el historial: ${(resp && resp.error) || "error desconocido"}`);
+          return;
+        }
+        window._snapshotSitemaps = resp.sitemaps;
+        historyResult.classList.remove("hidden");
+        historySummary.textContent = "";
+        historyDiff.innerHTML = "";
+        historyExport.classList.add("hidden");
+        historyEmpty.classList.toggle("hidden", resp.sitemaps.length > 0);
+        historyControls.classList.toggle("hidden", resp.sitemaps.length === 0);
+
+        historySitemap.innerHTML = "";
+        for (const sitemap of resp.sitemaps) {
+          const option = new Option(`${getSitemapFileName(sitemap.url)} (${sitemap.snapshots.length})`, sitemap.url);
+          option.title = sitemap.url;
+          historySitemap.appendChild(option);
+        }
+        fillSnapshotSelects();
+      }
+    );
+  });
+  historySitemap.addEventListener("change", fillSnapshotSelects);
+}
+
+if (historyCompareBtn) {
+  historyCompareBtn.addEventListener("click", () => {
+    const fromId = Number(historyFrom.value);
+    const toId = Number(historyTo.value);
+    if (!fromId || !toId) return;
+    chrome.runtime.sendMessage({ action: "diffSitemapSnapshots", fromId, toId }, (resp) => {
+      if (!resp || !resp.success) {
+        alert(`No se pudieron comparar las versiones: ${(resp && resp.error) || "error desconocido"}`);
+        return;
+      }
+      displaySnapshotDiff(resp.diff);
+    });
+  });
+}
+
+// Snapshot diff export handlers
+if (historyExportCsv) {
+  historyExportCsv.addEventListener("click", () => {
+    const diff = window._snapshotDiff;
+    if (!diff) return;
+    const rows = [["change", "loc", "lastmod_before", "lastmod_after"]];
+    for (const item of diff.added) rows.push(["added", item.loc, "", item.lastmod]);
+    for (const item of diff.removed) rows.push(["removed", item.loc, item.lastmod, ""]);
+    for (const item of diff.lastmodChanged) rows.push(["lastmod-changed", item.loc, item.before, item.after]);
+    const csv = rows.map((row) => row.map(toCsvCell).join(",")).join("\n");
+    downloadTextFile("sitemap-diff.csv", csv, "text/csv");
+  });
+}
+
+if (historyExportJson) {
+  historyExportJson.addEventListener("click", () => {
+    const diff = window._snapshotDiff;
+    if (!diff) return;
+    downloadTextFile("sitemap-diff.json", JSON.stringify(diff, null, 2), "application/json");
+  });
+}
+
+// Removal mark handler for the current URL's sitemap entry
+if (removalBtn) {
+  removalBtn.addEventListener("click", () => {
+    const marked = !removalBtn.dataset.marked;
+    chrome.runtime.sendMessage(
+      { action: "setSitemapRemoval", loc: window._currentEntryLoc, marked },
+      (resp) => {
+        if (!resp || !resp.success) {
+          alert(`No se pudo guardar la marca: ${(resp && resp.error) || "error desconocido"}`);
+          return;
+        }
+        renderRemovalButton(marked);
+      }
+    );
+  });
+}
+
+// Lookup table for the CRC-32 checksums of ZIP entries
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum of a byte array.
+ *
+ * @param {Uint8Array} bytes - Data.
+ * @returns {number} Unsigned checksum.
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Bundle text files into an uncompressed (stored) ZIP archive.
+ *
+ * @param {Array<{name: string, content: string}>} files - Files to add.
+ * @returns {Blob} ZIP archive.
+ */
+function createZipBlob(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [];
+  const centralParts = [];
+  let offset = 0;
+  let centralSize = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // local header offset
+    centralParts.push(central, name);
+
+    offset += 30 + name.length + data.length;
+    centralSize += 46 + name.length;
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralParts, end], { type: "application/zip" });
+}
+
+// Sitemap extensions kept in the proposed sitemap, by namespace prefix
+const PROPOSED_EXTENSION_LABELS = {
+  xhtml: "hreflang",
+  image: "imágenes",
+  video: "vídeos",
+  news: "noticias",
+};
+
+// Proposed sitemap handlers
+if (proposedBtn) {
+  proposedBtn.addEventListener("click", () => {
+    proposedResult.classList.toggle("hidden");
+  });
+}
+
+if (proposedDownloadBtn) {
+  proposedDownloadBtn.addEventListener("click", () => {
+    proposedDownloadBtn.disabled = true;
+    proposedDownloadBtn.textContent = "Generando...";
+    chrome.runtime.sendMessage(
+      {
+        action: "buildProposedSitemap",
+        url: window._currentUrl,
+        tabId: window._currentTabId,
+        lastmod: proposedLastmod.value,
+      },
+      (resp) => {
+        proposedDownloadBtn.disabled = false;
+        proposedDownloadBtn.textContent = "Descargar";
+        if (!resp || !resp.success) {
+          alert(`No se pudo generar el sitemap: ${(resp && resp.error) || "error desconocido"}`);
+          return;
+        }
+        const extensions = (resp.extensions || []).map((prefix) => PROPOSED_EXTENSION_LABELS[prefix] || prefix);
+        proposedSummary.textContent =
+          `${resp.kept} existentes, ${resp.added} añadidas, ${resp.removed} eliminadas` +
+          ` (${resp.files.length} ${resp.files.length === 1 ? "archivo" : "archivos"})` +
+          (extensions.length > 0 ? ` · conserva ${extensions.join(", ")}` : "");
+
+        let host = "sitio";
+        try {
+          host = new URL(window._currentUrl).hostname;
+        } catch (_) {
+          // keep the generic name
+        }
+        if (resp.files.length === 1) {
+          downloadTextFile(`sitemap-${host}.xml`, resp.files[0].content, "application/xml");
+        } else {
+          downloadBlob(`sitemap-${host}.zip`, createZipBlob(resp.files));
+        }
+      }
+    );
+  });
+}
+
+// Validation export handlers
+if (validationExportCsv) {
+  validationExportCsv.addEventListener("click", () => {
+    const report = window._validationReport;
+    if (!report) return;
+    const rows = [["severity", "code", "message", "loc", "sitemap"]];
+    for (const finding of report.findings) {
+      rows.push([finding.severity, finding.code, finding.message, finding.loc, finding.sitemap]);
+    }
+    const csv = rows.map((row) => row.map(toCsvCell).join(",")).join("\n");
+    downloadTextFile("sitemap-validation.csv", csv, "text/csv");
+  });
+}
+
+if (validationExportJson) {
+  validationExportJson.addEventListener("click", () => {
+    const report = window._validationReport;
+    if (!report) return;
+    downloadTextFile("sitemap-validation.json", JSON.stringify(report, null, 2), "application/json");
+  });
+}
+
+// Matching profile save handler: store the rules, then re-check the page with them
+if (profileSaveBtn) {
+  profileSaveBtn.addEventListener("click", () => {
+    const profile = {
+      host: window._matchProfileHost,
+      keepParams: profileKeepParams.value,
+      trailingSlash: profileTrailingSlash.value,
+      hostAliases: profileHostAliases.value,
+      ignoreScheme: profileIgnoreScheme.checked,
+      caseInsensitive: profileCaseInsensitive.checked,
+      decode: profileDecode.checked,
+    };
+    chrome.runtime.sendMessage({ action: "saveMatchProfile", profile }, (resp) => {
+      if (!resp || !resp.success) {
+        alert(`No se pudieron guardar las reglas: ${(resp && resp.error) || "error desconocido"}`);
+        return;
+      }
+      profileSaveBtn.textContent = "Guardado";
+      setTimeout(() => (profileSaveBtn.textContent = "Guardar reglas"), 1500);
+      requestStatus();
+    });
+  });
+}
+
+// Monitoring handlers
+if (watchSaveBtn) {
+  watchSaveBtn.addEventListener("click", () => {
+    chrome.runtime.sendMessage(
+      {
+        action: "setWatchedSite",
+        url: window._currentUrl,
+        enabled: watchEnabled.checked,
+        intervalMinutes: Number(watchInterval.value),
+        dropThreshold: Number(watchThreshold.value),
+      },
+      (resp) => {
+        if (!resp || !resp.success) {
+          alert(`No se pudo guardar la vigilancia: ${(resp && resp.error) || "error desconocido"}`);
+          return;
+        }
+        watchSaveBtn.textContent = "Guardado";
+        setTimeout(() => (watchSaveBtn.textContent = "Guardar"), 1500);
+        loadWatchForm();
+      }
+    );
+  });
+}
+
+if (watchSummaryBtn) {
+  watchSummaryBtn.addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("summary.html") });
+  });
+}
+
+// Crawl handlers
+if (crawlStartBtn) {
+  crawlStartBtn.addEventListener("click", () => {
+    const settings = {
+      maxPages: Number(crawlMaxPages.value),
+      maxDepth: Number(crawlMaxDepth.value),
+      concurrency: Number(crawlConcurrency.value),
+      include: crawlInclude.value,
+      exclude: crawlExclude.value,
+      respectRobots: crawlRespectRobots.checked,
+    };
+    chrome.runtime.sendMessage(
+      { action: "startCrawl", url: window._currentUrl, tabId: window._currentTabId, settings },
+      (resp) => {
+        if (!resp || !resp.success) {
+          alert(`No se pudo iniciar el rastreo: ${(resp && resp.error) || "error desconocido"}`);
+          return;
+        }
+        displayCrawlStatus(resp.crawl);
+      }
+    );
+  });
+
+  crawlStopBtn.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: "stopCrawl" });
+  });
+
+  crawlExportBtn.addEventListener("click", () => {
+    const crawl = window._crawlStatus;
+    if (!crawl) return;
+    const rows = [["url", "found_on"]];
+    for (const item of crawl.missing) rows.push([item.url, item.foundOn]);
+    const csv = rows.map((row) => row.map(toCsvCell).join(",")).join("\n");
+    downloadTextFile(`rastreo-${new URL(crawl.origin).hostname}.csv`, csv, "text/csv");
+  });
+}
+
+// Refresh button handler: download the sitemaps again and re-check the page
+if (refreshBtn) {
+  refreshBtn.addEventListener("click", () => retryStatus({}));
+}
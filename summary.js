@@ -0,0 +1,130 @@
+// Monitoring summary page: watched sites, their recent checks and manual actions
+const watchEmpty = document.getElementById("watch-empty");
+const watchSitesContainer = document.getElementById("watch-sites");
+let scrolledToSite = false;
+
+// Labels and status-box classes for each watch check status
+const WATCH_STATUS_LABELS = {
+  ok: { label: "Correcto", className: "found" },
+  unreachable: { label: "Sitemap no disponible", className: "not-found" },
+  "parse-error": { label: "Error al leer el sitemap", className: "not-found" },
+  "count-drop": { label: "Pérdida de URLs", className: "error" },
+};
+
+/**
+ * Format a timestamp as a Spanish date and time.
+ *
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @returns {string} Formatted date.
+ */
+function formatDateTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString("es-ES") : "—";
+}
+
+/**
+ * Render one watched site with its latest status and check history.
+ *
+ * @param {string} origin - Site origin.
+ * @param {Object} site - Watch entry from the background.
+ * @param {boolean} highlighted - Whether the page was opened for this site.
+ * @returns {HTMLElement} Site section.
+ */
+function renderWatchedSite(origin, site, highlighted) {
+  const section = document.createElement("section");
+  section.className = "watch-site";
+  if (highlighted) section.classList.add("watch-site-highlighted");
+
+  const title = document.createElement("h2");
+  title.textContent = new URL(origin).hostname;
+  section.appendChild(title);
+
+  const lastCheck = site.checks[0];
+  const status = WATCH_STATUS_LABELS[lastCheck ? lastCheck.status : ""] || null;
+  const statusEl = document.createElement("div");
+  statusEl.className = `status-box ${status ? status.className : ""}`;
+  const statusText = document.createElement("p");
+  statusText.textContent = status
+    ? `${status.label}${lastCheck.message ? ` — ${lastCheck.message}` : ""}`
+    : "Sin comprobaciones todavía";
+  statusEl.appendChild(statusText);
+  const settingsText = document.createElement("p");
+  settingsText.textContent =
+    `Cada ${site.intervalMinutes} min · aviso si se pierde más del ${site.dropThreshold}% de URLs` +
+    (site.baselineCount != null ? ` · ${site.baselineCount} URLs en la última lectura correcta` : "");
+  statusEl.appendChild(settingsText);
+  section.appendChild(statusEl);
+
+  if (site.checks.length > 0) {
+    const table = document.createElement("table");
+    table.className = "watch-table";
+    const headRow = table.createTHead().insertRow();
+    for (const heading of ["Fecha", "Estado", "URLs", "Detalle"]) {
+      const cell = document.createElement("th");
+      cell.textContent = heading;
+      headRow.appendChild(cell);
+    }
+    const body = table.createTBody();
+    for (const check of site.checks) {
+      const row = body.insertRow();
+      row.className = `watch-check-${check.status}`;
+      row.insertCell().textContent = formatDateTime(check.checkedAt);
+      row.insertCell().textContent = (WATCH_STATUS_LABELS[check.status] || { label: check.status }).label;
+      row.insertCell().textContent = check.count != null ? check.count : "—";
+      row.insertCell().textContent = check.message || "";
+    }
+    section.appendChild(table);
+  }
+
+  const controls = document.createElement("div");
+  controls.className = "export-controls";
+  const checkBtn = document.createElement("button");
+  checkBtn.className = "btn primary";
+  checkBtn.textContent = "Comprobar ahora";
+  checkBtn.addEventListener("click", () => {
+    checkBtn.disabled = true;
+    checkBtn.textContent = "Comprobando...";
+    chrome.runtime.sendMessage({ action: "runWatchCheck", site: origin }, () => loadSummary());
+  });
+  const stopBtn = document.createElement("button");
+  stopBtn.className = "btn btn-delete";
+  stopBtn.textContent = "Dejar de vigilar";
+  stopBtn.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: "setWatchedSite", url: origin, enabled: false }, () => loadSummary());
+  });
+  controls.appendChild(checkBtn);
+  controls.appendChild(stopBtn);
+  section.appendChild(controls);
+
+  return section;
+}
+
+/**
+ * Load the watched sites from the background and render them.
+ *
+ * @returns {void}
+ */
+function loadSummary() {
+  chrome.runtime.sendMessage({ action: "getWatchedSites" }, (resp) => {
+    const sites = resp && resp.success ? resp.sites : {};
+    const highlightedSite = new URLSearchParams(location.search).get("site");
+    const origins = Object.keys(sites).sort();
+
+    watchSitesContainer.innerHTML = "";
+    watchEmpty.classList.toggle("hidden", origins.length > 0);
+    for (const origin of origins) {
+      const section = renderWatchedSite(origin, sites[origin], origin === highlightedSite);
+      watchSitesContainer.appendChild(section);
+      if (origin === highlightedSite && !scrolledToSite) {
+        section.scrollIntoView();
+        scrolledToSite = true;
+      }
+    }
+  });
+}
+
+// Re-render when a scheduled check records a new result
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.watchedSites) loadSummary();
+});
+
+loadSummary();